@@ -0,0 +1,208 @@
+/**
+ * Digital Divide Visualization - Accessibility
+ * Keyboard shortcuts, focusable countries and bubbles, live announcements and a data-table alternative
+ */
+
+/**
+ * Page position next to a focused element, standing in for a mouse event when placing the tooltip
+ */
+function getFocusAnchor(element) {
+    const box = element.getBoundingClientRect();
+    return {
+        pageX: box.left + box.width / 2 + window.scrollX,
+        pageY: box.top + box.height / 2 + window.scrollY
+    };
+}
+
+/**
+ * Let keyboard users reach a country shape or bubble: focus shows the tooltip, Enter or Space clicks it
+ */
+function makeFocusable(selection, showFocusTooltip, countryCodeOf) {
+    selection
+        .attr("tabindex", 0)
+        .attr("role", "button")
+        .on("focus", function(event, d) {
+            showFocusTooltip(getFocusAnchor(this), d);
+        })
+        .on("blur", hideTooltip)
+        .on("keydown", (event, d) => {
+            if (event.key === "Enter" || event.key === " ") {
+                event.preventDefault();
+                event.stopPropagation();
+                handleCountryClick(countryCodeOf(d));
+            }
+        });
+}
+
+/**
+ * Spoken description of one country's value in the current metric, colored by `scale` on the map
+ */
+function describeCountry(countryData, year, scale) {
+    const metric = metricDefinitions[globalState.selectedMetric];
+    const estimated = countryData.estimated ? " (estimated)" : "";
+    if (metric.bivariate) {
+        return `${countryData.country}: ${describeBivariateClass(scale, countryData)} in ${year}${estimated}`;
+    }
+    const value = countryData[globalState.selectedMetric];
+    return `${countryData.country}: ${metric.shortLabel} ${metric.format(value)} in ${year}${estimated}`;
+}
+
+/**
+ * Update the ARIA labels of map countries for a year
+ */
+function labelMapCountries(selection, yearLookup, year, scale) {
+    selection.attr("aria-label", d => {
+        const countryData = findCountryData(d, yearLookup);
+        return countryData ? describeCountry(countryData, year, scale) : null;
+    });
+}
+
+/**
+ * Read a message out through the live region
+ */
+function announce(message) {
+    d3.select("#live-region").text(message);
+}
+
+/**
+ * Step the year of the scene being shown
+ */
+function stepYear(offset) {
+    const years = globalState.currentScene === 2 ? getScene2Years() : globalState.data.processed.years;
+    const clamp = year => Math.max(years[0], Math.min(years[years.length - 1], year));
+
+    if (globalState.currentScene === 2) {
+        updateYear(clamp(globalState.scene2.currentYear + offset), "replace");
+    } else if (globalState.currentScene === 3) {
+        updateScene3Year(clamp(globalState.scene3.currentYear + offset), "replace");
+    }
+}
+
+/**
+ * Arrow keys change the year, number keys switch scenes and Space plays or pauses
+ */
+function handleShortcut(event) {
+    // Leave typing, form controls and modified keys alone
+    const target = event.target;
+    if (event.ctrlKey || event.metaKey || event.altKey || globalState.scene2.isRecording) return;
+    if (target.closest && target.closest("input, select, textarea, [contenteditable]")) return;
+    // A focused button keeps Space and Enter for pressing itself; arrows and numbers still work after clicking one
+    if (target.closest && target.closest("button") && (event.key === " " || event.key === "Enter")) return;
+
+    // The story keeps the scenes locked: arrows move between its steps
+    if (globalState.story.active) {
+        if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+            event.preventDefault();
+            stepStory(event.key === "ArrowRight" ? 1 : -1);
+        }
+        return;
+    }
+
+    const sceneCount = d3.selectAll(".scene-btn").size();
+    const sceneNumber = +event.key;
+
+    if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+        event.preventDefault();
+        stepYear(event.key === "ArrowRight" ? 1 : -1);
+    } else if (sceneNumber >= 1 && sceneNumber <= sceneCount) {
+        // Same as pressing the scene's navigation button
+        d3.select(`.scene-btn[data-scene="${sceneNumber}"]`).node().click();
+    } else if (event.key === " ") {
+        if (globalState.currentScene === 2) {
+            event.preventDefault();
+            toggleAnimation();
+        } else if (globalState.currentScene === 3) {
+            event.preventDefault();
+            toggleScatterplotAnimation();
+        }
+    }
+}
+
+/**
+ * Human-readable column headings for the data table
+ */
+const dataTableHeadings = {
+    country: "Country",
+    countryCode: "Code",
+    region: "Region",
+    year: "Year",
+    internetPenetration: "Internet penetration (%)",
+    gdpPerCapita: "GDP per capita (USD)",
+    population: "Population",
+    internetUsers: "Internet users",
+    estimated: "Estimated",
+    trendResidual: "Versus trend (pts)",
+    projected: "Projected",
+    bivariateClass: "Wealth × connectivity",
+    firstYear: "First year",
+    firstRank: "Rank in first year",
+    lastYear: "Latest year",
+    lastRank: "Rank in latest year",
+    rankChange: "Places moved up",
+    gain: "Gain (pts)",
+    min: "Lowest (%)",
+    median: "Median (%)",
+    max: "Highest (%)",
+    lowest: "Lowest country",
+    highest: "Highest country",
+    count: "Countries",
+    quintileGap: "Top vs. bottom quintile gap (pts)",
+    gini: "Gini index",
+    stdDev: "Standard deviation (pts)",
+    top: "Top quintile",
+    bottom: "Bottom quintile"
+};
+
+/**
+ * Fill the data table with the rows behind the current chart (only while it is open)
+ */
+function updateDataTable() {
+    const details = d3.select("#data-table");
+    if (details.empty() || !details.property("open")) return;
+
+    const { columns, rows } = getDisplayedRows();
+    const format = value => {
+        if (typeof value === "number") {
+            return Number.isInteger(value) ? `${value}` : value.toFixed(2);
+        }
+        if (typeof value === "boolean") {
+            return value ? "yes" : "";
+        }
+        return value === undefined || value === null ? "" : value;
+    };
+
+    const container = d3.select("#data-table-content");
+    container.selectAll("*").remove();
+
+    const table = container.append("table");
+    table.append("caption")
+        .text(`${d3.select("#current-scene-title").text()} · ${getExportYearLabel()} (${rows.length} rows)`);
+
+    table.append("thead")
+        .append("tr")
+        .selectAll("th")
+        .data(columns)
+        .enter()
+        .append("th")
+        .attr("scope", "col")
+        .text(column => dataTableHeadings[column] || column);
+
+    table.append("tbody")
+        .selectAll("tr")
+        .data(rows)
+        .enter()
+        .append("tr")
+        .selectAll("td")
+        .data(row => columns.map(column => row[column]))
+        .enter()
+        .append("td")
+        .text(format);
+}
+
+/**
+ * Wire up keyboard shortcuts and the data table
+ */
+function setupAccessibility() {
+    d3.select(document).on("keydown.shortcuts", handleShortcut);
+    d3.select("#data-table").on("toggle", updateDataTable);
+}
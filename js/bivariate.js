@@ -0,0 +1,167 @@
+/**
+ * Digital Divide Visualization - Bivariate Map
+ * Colors the maps by wealth and connectivity together: each country falls in a 3 × 3 grid of terciles
+ */
+
+// Names of the three bins along each axis, and the size of the legend grid
+const bivariateLevels = ["Low", "Mid", "High"];
+const bivariateLegend = {
+    cellSize: 22,
+    height: 140
+};
+
+// Countries without data are left white and outlined (see .bivariate-map in styles.css),
+// as every palette's "no data" gray is close to the light low/low cell
+const bivariateNoData = "#ffffff";
+
+/**
+ * Whether the maps are in bivariate mode
+ */
+function isBivariateMetric() {
+    return metricDefinitions[globalState.selectedMetric].bivariate === true;
+}
+
+/**
+ * Tercile breaks of a value across records
+ */
+function calculateTerciles(records, key) {
+    const values = records.map(d => d[key]).filter(Number.isFinite).sort(d3.ascending);
+    return [d3.quantileSorted(values, 1 / 3), d3.quantileSorted(values, 2 / 3)];
+}
+
+/**
+ * Bin of a value (0–2) against two breaks; values on a break fall in the lower bin, so a run of zeros stays "Low"
+ */
+function findBivariateBin(breaks, value) {
+    return breaks.filter(b => value > b).length;
+}
+
+/**
+ * Color function for records (not values): wealth and connectivity terciles of `records` pick a cell of `colors`
+ * `colors` is the palette's 3 × 3 matrix, indexed wealth bin × 3 + connectivity bin
+ */
+function createBivariateScale(records, colors) {
+    const wealthBreaks = calculateTerciles(records, "gdpPerCapita");
+    const connectivityBreaks = calculateTerciles(records, "internetPenetration");
+
+    const classify = d => ({
+        wealth: findBivariateBin(wealthBreaks, d.gdpPerCapita),
+        connectivity: findBivariateBin(connectivityBreaks, d.internetPenetration)
+    });
+
+    const scale = d => {
+        const { wealth, connectivity } = classify(d);
+        return colors[wealth * 3 + connectivity];
+    };
+
+    return Object.assign(scale, { classify, colors, wealthBreaks, connectivityBreaks });
+}
+
+/**
+ * Cell of a country in the map's grid, e.g. "High wealth, low connectivity"
+ */
+function describeBivariateClass(scale, countryData) {
+    const { wealth, connectivity } = scale.classify(countryData);
+    return `${bivariateLevels[wealth]} wealth, ${bivariateLevels[connectivity].toLowerCase()} connectivity`;
+}
+
+/**
+ * Bivariate scale of the map being shown
+ */
+function getActiveBivariateScale() {
+    return globalState.currentScene === 2 ? colorScales.scene2 : colorScales.scene1;
+}
+
+/**
+ * 2D legend in the box placed by layoutLegendGroup: wealth left to right, connectivity bottom to top,
+ * with the tercile breaks on each axis
+ */
+function createBivariateLegend(svg, layout, scale, title) {
+    const legendWidth = getMapLegendWidth();
+    const { cellSize, height } = bivariateLegend;
+    const gridSize = cellSize * 3;
+    const wealthFormat = metricDefinitions.gdpPerCapita.format;
+    const connectivityFormat = metricDefinitions.internetPenetration.format;
+
+    // Same box as the single-metric legends, taller to fit the grid
+    const legend = svg.append("g")
+        .attr("class", "legend bivariate-legend")
+        .attr("transform", `translate(${layout.legendX + 15}, ${layout.legendY + 35})`);
+
+    legend.append("rect")
+        .attr("x", -15)
+        .attr("y", -35)
+        .attr("width", legendWidth + 30)
+        .attr("height", height)
+        .attr("rx", 6)
+        .style("fill", "rgba(255, 255, 255, 0.95)")
+        .style("stroke", "#333")
+        .style("stroke-width", 1);
+
+    legend.append("text")
+        .attr("x", legendWidth / 2)
+        .attr("y", -15)
+        .attr("text-anchor", "middle")
+        .style("font-size", "12px")
+        .style("font-weight", "bold")
+        .text(title);
+
+    // Leave room on the left for the connectivity label and breaks
+    const grid = legend.append("g")
+        .attr("transform", "translate(55, -2)");
+
+    grid.selectAll(".bivariate-cell")
+        .data(d3.cross([0, 1, 2], [0, 1, 2]))
+        .enter()
+        .append("rect")
+        .attr("class", "bivariate-cell")
+        .attr("x", ([wealth]) => wealth * cellSize)
+        .attr("y", ([, connectivity]) => (2 - connectivity) * cellSize)
+        .attr("width", cellSize)
+        .attr("height", cellSize)
+        .attr("fill", ([wealth, connectivity]) => scale.colors[wealth * 3 + connectivity])
+        .append("title")
+        .text(([wealth, connectivity]) =>
+            `${bivariateLevels[wealth]} wealth, ${bivariateLevels[connectivity].toLowerCase()} connectivity`);
+
+    grid.selectAll(".bivariate-break-x")
+        .data(scale.wealthBreaks)
+        .enter()
+        .append("text")
+        .attr("class", "bivariate-break")
+        .attr("x", (d, i) => (i + 1) * cellSize)
+        .attr("y", gridSize + 12)
+        .attr("text-anchor", "middle")
+        .text(wealthFormat);
+
+    grid.selectAll(".bivariate-break-y")
+        .data(scale.connectivityBreaks)
+        .enter()
+        .append("text")
+        .attr("class", "bivariate-break")
+        .attr("x", -4)
+        .attr("y", (d, i) => (2 - i) * cellSize)
+        .attr("dy", "0.35em")
+        .attr("text-anchor", "end")
+        .text(connectivityFormat);
+
+    grid.append("text")
+        .attr("class", "bivariate-axis-label")
+        .attr("x", gridSize / 2)
+        .attr("y", gridSize + 26)
+        .attr("text-anchor", "middle")
+        .text("GDP per capita →");
+
+    grid.append("text")
+        .attr("class", "bivariate-axis-label")
+        .attr("transform", `translate(-40, ${gridSize / 2}) rotate(-90)`)
+        .attr("text-anchor", "middle")
+        .text("Internet use →");
+
+    // No-data and estimated keys to the right of the grid
+    const keyX = Math.max(55 + gridSize + 70, legendWidth - 50);
+    addNoDataKey(legend, keyX, 10, bivariateNoData);
+    if (globalState.data.processed.estimatedCount > 0) {
+        addEstimatedKey(legend, keyX + 5, 32);
+    }
+}
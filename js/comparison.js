@@ -0,0 +1,257 @@
+/**
+ * Digital Divide Visualization - Country Comparison
+ * Pick several countries and follow their penetration side by side in every scene
+ */
+
+const comparisonChart = {
+    width: 900,
+    height: 260,
+    margin: { top: 20, right: 130, bottom: 30, left: 50 }
+};
+
+/**
+ * Color assigned to a compared country; removing another country leaves it unchanged
+ */
+function getComparisonColor(countryCode) {
+    const { countries, colorSlots } = globalState.comparison;
+
+    // Free the slots of countries no longer compared, then give newcomers the lowest free one
+    [...colorSlots.keys()]
+        .filter(code => !countries.includes(code))
+        .forEach(code => colorSlots.delete(code));
+    countries.forEach(code => {
+        if (!colorSlots.has(code)) {
+            const used = new Set(colorSlots.values());
+            colorSlots.set(code, d3.range(countries.length).find(slot => !used.has(slot)));
+        }
+    });
+
+    // One color per slot, from the palette's set apart from the Scene 3 region colors
+    return colorScales.comparison(colorSlots.get(countryCode));
+}
+
+/**
+ * Turn comparison mode on or off
+ */
+function toggleComparisonMode() {
+    globalState.comparison.active = !globalState.comparison.active;
+    highlightCountries();
+    updateComparisonView();
+    writeUrlState();
+}
+
+/**
+ * Add a country to the comparison, or remove it if already there
+ */
+function toggleComparedCountry(countryCode) {
+    const { countries, maxCountries } = globalState.comparison;
+    const index = countries.indexOf(countryCode);
+
+    if (index >= 0) {
+        countries.splice(index, 1);
+    } else if (countries.length >= maxCountries) {
+        d3.select("#comparison-message").text(`You can compare up to ${maxCountries} countries. Remove one first.`);
+        return;
+    } else {
+        countries.push(countryCode);
+    }
+
+    d3.select("#comparison-message").text("");
+    highlightCountries();
+    updateComparisonView();
+    writeUrlState();
+}
+
+/**
+ * Sync the comparison controls, chips and chart with the state
+ */
+function updateComparisonView() {
+    const { active, countries } = globalState.comparison;
+    const byCountry = globalState.data.processed.byCountry;
+
+    d3.select("#comparison").classed("active", active);
+    d3.select("#compare-toggle")
+        .classed("active", active)
+        .text(active ? "✓ Comparing" : "Compare Countries");
+
+    // Chips for the selected countries
+    const chips = d3.select("#comparison-chips")
+        .selectAll(".comparison-chip")
+        .data(countries, d => d);
+
+    chips.exit().remove();
+
+    const newChips = chips.enter()
+        .append("button")
+        .attr("class", "comparison-chip")
+        .on("click", (event, d) => toggleComparedCountry(d));
+
+    newChips.merge(chips)
+        .style("border-color", d => getComparisonColor(d))
+        .text(d => `${byCountry.get(d)[0].country} ×`);
+
+    renderComparisonChart();
+}
+
+/**
+ * Multi-line chart of penetration over time, dashed on through projected years, with a rule at the scene's year
+ */
+function renderComparisonChart() {
+    const container = d3.select("#comparison-chart");
+    container.selectAll("*").remove();
+
+    const { active, countries } = globalState.comparison;
+    if (!active) return;
+
+    if (countries.length === 0) {
+        container.append("p")
+            .attr("class", "comparison-hint")
+            .text("Click countries on the map or scatterplot, or search above, to compare them.");
+        return;
+    }
+
+    const { width, height, margin } = comparisonChart;
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    const byCountry = globalState.data.processed.byCountry;
+    const years = getScene2Years();
+    const projected = new Map(countries.map(code => [code, getProjectedRecords(code)]));
+    const fullHistory = code => [...byCountry.get(code), ...projected.get(code)];
+
+    const svg = container.append("svg")
+        .attr("width", width)
+        .attr("height", height);
+
+    const chart = svg.append("g")
+        .attr("transform", `translate(${margin.left}, ${margin.top})`);
+
+    const xScale = d3.scaleLinear()
+        .domain(d3.extent(years))
+        .range([0, innerWidth]);
+
+    const yScale = d3.scaleLinear()
+        .domain([0, 100])
+        .range([innerHeight, 0]);
+
+    chart.append("g")
+        .attr("class", "axis")
+        .attr("transform", `translate(0, ${innerHeight})`)
+        .call(d3.axisBottom(xScale).ticks(12).tickFormat(d3.format("d")));
+
+    chart.append("g")
+        .attr("class", "axis")
+        .call(d3.axisLeft(yScale).ticks(5).tickFormat(d => `${d}%`));
+
+    // Rule at the year the scene is showing
+    const activeYear = getActiveYear();
+    chart.append("line")
+        .attr("class", "comparison-year-rule")
+        .attr("x1", xScale(activeYear))
+        .attr("x2", xScale(activeYear))
+        .attr("y1", 0)
+        .attr("y2", innerHeight);
+    if (isProjectedYear(activeYear)) {
+        chart.append("text")
+            .attr("class", "comparison-year-label")
+            .attr("x", xScale(activeYear))
+            .attr("y", -6)
+            .attr("text-anchor", "middle")
+            .text(`${activeYear} (projected)`);
+    }
+
+    const line = d3.line()
+        .x(d => xScale(d.year))
+        .y(d => yScale(d.internetPenetration));
+
+    const series = chart.selectAll(".comparison-series")
+        .data(countries)
+        .enter()
+        .append("g")
+        .attr("class", "comparison-series")
+        .on("mouseover", function() {
+            chart.selectAll(".comparison-series").classed("faded", true);
+            d3.select(this).classed("faded", false);
+        })
+        .on("mouseout", () => chart.selectAll(".comparison-series").classed("faded", false));
+
+    series.append("path")
+        .attr("class", "comparison-line")
+        .attr("d", d => line(byCountry.get(d)))
+        .style("stroke", d => getComparisonColor(d));
+
+    series.filter(d => projected.get(d).length > 0)
+        .append("path")
+        .attr("class", "comparison-line comparison-projection")
+        .attr("d", d => line([byCountry.get(d).slice(-1)[0], ...projected.get(d)]))
+        .style("stroke", d => getComparisonColor(d));
+
+    // Value at the active year, and a label at the line end
+    series.append("circle")
+        .attr("r", 4)
+        .attr("cx", xScale(activeYear))
+        .attr("cy", d => {
+            const record = fullHistory(d).find(r => r.year === activeYear);
+            return record ? yScale(record.internetPenetration) : -100;
+        })
+        .style("fill", d => getComparisonColor(d));
+
+    series.append("text")
+        .attr("class", "comparison-label")
+        .attr("x", innerWidth + 8)
+        .attr("y", d => {
+            const history = fullHistory(d);
+            return yScale(history[history.length - 1].internetPenetration);
+        })
+        .attr("dy", "0.35em")
+        .style("fill", d => getComparisonColor(d))
+        .text(d => byCountry.get(d)[0].country);
+}
+
+/**
+ * Add a country picked in the search box
+ */
+function addComparedCountryByName(name) {
+    const match = globalState.data.processed.countries
+        .find(country => country.toLowerCase() === name.trim().toLowerCase());
+
+    if (!match) {
+        d3.select("#comparison-message").text(`No data for "${name}"`);
+        return;
+    }
+
+    const countryCode = globalState.data.connectivity.find(d => d.country === match).countryCode;
+    if (!globalState.comparison.countries.includes(countryCode)) {
+        toggleComparedCountry(countryCode);
+    }
+}
+
+/**
+ * Wire up the comparison controls
+ */
+function setupComparison() {
+    d3.select("#comparison-max").text(globalState.comparison.maxCountries);
+
+    d3.select("#country-options")
+        .selectAll("option")
+        .data([...globalState.data.processed.countries].sort())
+        .enter()
+        .append("option")
+        .attr("value", d => d);
+
+    d3.select("#compare-toggle").on("click", toggleComparisonMode);
+
+    d3.select("#compare-search").on("change", function() {
+        if (this.value) {
+            addComparedCountryByName(this.value);
+            this.value = "";
+        }
+    });
+
+    d3.select("#compare-clear").on("click", () => {
+        globalState.comparison.countries = [];
+        d3.select("#comparison-message").text("");
+        highlightCountries();
+        updateComparisonView();
+        writeUrlState();
+    });
+}
@@ -0,0 +1,79 @@
+/**
+ * Digital Divide Visualization - Configuration
+ * Sources for the data, basemap and third-party libraries, with bundled fallbacks under data/
+ */
+
+const appConfig = {
+    // Connectivity dataset loaded at startup
+    connectivity: {
+        url: "data/connectivityfull.csv"
+    },
+
+    // World Bank API (point the endpoints at a local mock for offline use)
+    worldBank: {
+        endpoint: "https://api.worldbank.org/v2/country/all/indicator/{indicator}?format=json&per_page=20000&date=2000:2024",
+        countriesEndpoint: "https://api.worldbank.org/v2/country?format=json&per_page=400",
+        indicators: {
+            "IT.NET.USER.ZS": "internetPenetration",
+            "NY.GDP.PCAP.CD": "gdpPerCapita",
+            "SP.POP.TOTL": "population"
+        }
+    },
+
+    // World map (world-atlas TopoJSON)
+    basemap: {
+        resolution: "50m", // "50m" or "110m"
+        source: "remote",  // "remote" tries the CDN first, "local" uses only the bundled copy
+        remoteUrl: "https://cdn.jsdelivr.net/npm/world-atlas@2/countries-{resolution}.json",
+        localUrl: "data/world-atlas/countries-{resolution}.json"
+    },
+
+    // Libraries loaded before main.js
+    libraries: {
+        source: "remote",
+        d3: {
+            global: "d3",
+            remoteUrl: "https://d3js.org/d3.v7.min.js",
+            localUrl: "data/vendor/d3.v7.min.js"
+        },
+        topojson: {
+            global: "topojson",
+            remoteUrl: "https://unpkg.com/topojson@3",
+            localUrl: "data/vendor/topojson-client.min.js"
+        }
+    }
+};
+
+/**
+ * Ordered list of basemap URLs to try for the configured resolution
+ */
+function getBasemapUrls() {
+    const { resolution, source, remoteUrl, localUrl } = appConfig.basemap;
+    const urls = source === "local" ? [localUrl] : [remoteUrl, localUrl];
+    return urls.map(url => url.replace("{resolution}", resolution));
+}
+
+/**
+ * Write the library script tags, each followed by a check that falls back to the bundled copy.
+ * Must be called from an inline script so the written tags run in order before main.js.
+ */
+function writeLibraryScripts() {
+    const { source, ...libraries } = appConfig.libraries;
+
+    Object.entries(libraries).forEach(([name, lib]) => {
+        const primaryUrl = source === "local" ? lib.localUrl : lib.remoteUrl;
+        document.write(`<script src="${primaryUrl}"><\/script>`);
+        document.write(`<script>ensureLibrary("${name}");<\/script>`);
+    });
+}
+
+/**
+ * Load the bundled copy of a library if its global is still missing
+ */
+function ensureLibrary(name) {
+    const lib = appConfig.libraries[name];
+    if (window[lib.global]) return;
+
+    console.warn(`${name} unavailable from ${lib.remoteUrl}, using bundled copy`);
+    document.write(`<script src="${lib.localUrl}"><\/script>`);
+}
@@ -0,0 +1,95 @@
+/**
+ * Digital Divide Visualization - Country Join
+ * Matches TopoJSON map features to connectivity records by numeric country ID
+ */
+
+/**
+ * Load the countryCode -> numeric geoCode table
+ */
+async function loadCountryCodes() {
+    return d3.csv("data/country-codes.csv", d => ({
+        country: d.country,
+        countryCode: d.countryCode,
+        geoCode: normalizeGeoId(d.geoCode)
+    }));
+}
+
+/**
+ * Normalize a numeric country ID to the zero-padded 3-digit form used by world-atlas
+ */
+function normalizeGeoId(id) {
+    if (id === undefined || id === null || id === "") return null;
+    return String(id).padStart(3, "0");
+}
+
+/**
+ * Build the join between map features and connectivity countries
+ */
+function buildCountryJoin(countryCodes, connectivity, worldMap) {
+    const codeByGeoId = new Map();
+    const geoIdByCode = new Map();
+
+    countryCodes.forEach(d => {
+        if (!d.geoCode) return;
+        codeByGeoId.set(d.geoCode, d.countryCode);
+        geoIdByCode.set(d.countryCode, d.geoCode);
+    });
+
+    // Every numeric ID present on the basemap
+    const mapGeoIds = new Set(
+        worldMap.objects.countries.geometries
+            .map(g => normalizeGeoId(g.id))
+            .filter(id => id !== null)
+    );
+
+    // Countries in the data that cannot be drawn, and why
+    const unmatched = [];
+    const seen = new Set();
+
+    connectivity.forEach(d => {
+        if (seen.has(d.countryCode)) return;
+        seen.add(d.countryCode);
+
+        const geoId = geoIdByCode.get(d.countryCode);
+        if (!geoId) {
+            unmatched.push({ country: d.country, countryCode: d.countryCode, reason: "missing from country-codes.csv" });
+        } else if (!mapGeoIds.has(geoId)) {
+            unmatched.push({ country: d.country, countryCode: d.countryCode, reason: `geoCode ${geoId} not on basemap` });
+        }
+    });
+
+    if (unmatched.length > 0) {
+        console.warn(`Country join: ${unmatched.length} countries could not be matched`, unmatched);
+    }
+
+    return {
+        codeByGeoId,
+        geoIdByCode,
+        unmatched,
+        matchedCount: seen.size - unmatched.length
+    };
+}
+
+/**
+ * Index one year's records by country code
+ */
+function createYearLookup(yearData) {
+    return new Map(yearData.map(d => [d.countryCode, d]));
+}
+
+/**
+ * Country code for a map feature, or null if it is not in the dataset
+ */
+function getFeatureCountryCode(geoFeature) {
+    const join = globalState.data.processed.countryJoin;
+    return join.codeByGeoId.get(normalizeGeoId(geoFeature.id)) || null;
+}
+
+/**
+ * Find the connectivity record for a map feature, or null
+ */
+function findCountryData(geoFeature, yearLookup) {
+    const countryCode = getFeatureCountryCode(geoFeature);
+    if (!countryCode) return null;
+    return yearLookup.get(countryCode) || null;
+}
@@ -0,0 +1,198 @@
+/**
+ * Digital Divide Visualization - Country Detail Panel
+ * Side panel with a country's full history, ranks and gaps to the averages
+ */
+
+const panelChart = {
+    width: 320,
+    height: 130,
+    margin: { top: 10, right: 15, bottom: 25, left: 45 }
+};
+
+/**
+ * Year the current scene is showing
+ */
+function getActiveYear() {
+    const years = globalState.data.processed.years;
+
+    switch (globalState.currentScene) {
+        case 1:
+            return globalState.scene1.year;
+        case 2:
+            return globalState.scene2.currentYear;
+        case 3:
+            return globalState.scene3.currentYear;
+        default:
+            return years[years.length - 1];
+    }
+}
+
+/**
+ * Open, refresh or close the panel to match the selected country
+ */
+function updateCountryPanel() {
+    const panel = d3.select("#country-panel");
+    const countryCode = globalState.selectedCountry;
+
+    if (!countryCode) {
+        panel.classed("open", false);
+        return;
+    }
+
+    const history = globalState.data.processed.byCountry.get(countryCode) || [];
+
+    if (history.length === 0) {
+        panel.classed("open", false);
+        return;
+    }
+
+    const year = getActiveYear();
+    const country = history[0];
+
+    d3.select("#panel-title").text(country.country);
+    d3.select("#panel-subtitle").text(`${country.region} · ${year}`);
+
+    // The penetration chart runs on along the country's projection, as far as Scene 2 does
+    const projected = getProjectedRecords(countryCode);
+
+    renderPanelStats(countryCode, country.region, year);
+    renderPanelChart("#panel-penetration-chart", history, "internetPenetration", year, d => `${d}%`, projected);
+    renderPanelChart("#panel-gdp-chart", history, "gdpPerCapita", year, d => `$${d3.format("~s")(d)}`);
+
+    panel.classed("open", true);
+}
+
+/**
+ * Ranks and gaps to the regional and global averages for one year
+ * (averaged as Scene 2's global average is: population-weighted unless switched off)
+ */
+function calculateCountryStats(countryCode, region, year) {
+    const yearData = getYearRecords(year);
+    const regionData = yearData.filter(d => d.region === region);
+    const record = yearData.find(d => d.countryCode === countryCode);
+
+    if (!record) return null;
+
+    const rankIn = data => data.filter(d => d.internetPenetration > record.internetPenetration).length + 1;
+    const averageOf = data => calculateAveragePenetration(data, globalState.scene2.weightedAverage);
+
+    return {
+        record,
+        globalRank: rankIn(yearData),
+        globalCount: yearData.length,
+        regionRank: rankIn(regionData),
+        regionCount: regionData.length,
+        globalGap: record.internetPenetration - averageOf(yearData),
+        regionGap: record.internetPenetration - averageOf(regionData)
+    };
+}
+
+/**
+ * Fill the stats block for the active year
+ */
+function renderPanelStats(countryCode, region, year) {
+    const stats = calculateCountryStats(countryCode, region, year);
+    const container = d3.select("#panel-stats");
+
+    if (!stats) {
+        container.html(`<p>No data available for ${year}</p>`);
+        return;
+    }
+
+    const formatGap = gap => `${gap >= 0 ? "+" : ""}${gap.toFixed(1)} pts`;
+    const averaging = globalState.scene2.weightedAverage ? "population-weighted" : "unweighted";
+
+    container.html(`
+        ${formatProjectedNote(stats.record)}
+        <p>Internet Users: <strong>${stats.record.internetPenetration.toFixed(1)}%</strong></p>
+        <p>GDP per capita: <strong>$${stats.record.gdpPerCapita.toLocaleString()}</strong></p>
+        <p>Global rank: <strong>${stats.globalRank} of ${stats.globalCount}</strong></p>
+        <p>Regional rank: <strong>${stats.regionRank} of ${stats.regionCount}</strong></p>
+        <p>Gap to global average (${averaging}): <strong class="${stats.globalGap >= 0 ? "gap-positive" : "gap-negative"}">${formatGap(stats.globalGap)}</strong></p>
+        <p>Gap to regional average (${averaging}): <strong class="${stats.regionGap >= 0 ? "gap-positive" : "gap-negative"}">${formatGap(stats.regionGap)}</strong></p>
+        ${formatCrossings(countryCode)}
+    `);
+}
+
+/**
+ * Draw a small line chart of one field over all years, continued as a dashed line through any projected records
+ */
+function renderPanelChart(selector, history, field, activeYear, tickFormat, projected = []) {
+    const { width, height, margin } = panelChart;
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+
+    const container = d3.select(selector);
+    container.selectAll("*").remove();
+
+    const svg = container.append("svg")
+        .attr("width", width)
+        .attr("height", height);
+
+    const chart = svg.append("g")
+        .attr("transform", `translate(${margin.left}, ${margin.top})`);
+
+    const xScale = d3.scaleLinear()
+        .domain(d3.extent([...history, ...projected], d => d.year))
+        .range([0, innerWidth]);
+
+    const yScale = d3.scaleLinear()
+        .domain([0, field === "internetPenetration" ? 100 : d3.max(history, d => d[field]) * 1.1])
+        .range([innerHeight, 0]);
+
+    chart.append("g")
+        .attr("class", "axis")
+        .attr("transform", `translate(0, ${innerHeight})`)
+        .call(d3.axisBottom(xScale).ticks(5).tickFormat(d3.format("d")));
+
+    chart.append("g")
+        .attr("class", "axis")
+        .call(d3.axisLeft(yScale).ticks(4).tickFormat(tickFormat));
+
+    const line = d3.line()
+        .x(d => xScale(d.year))
+        .y(d => yScale(d[field]));
+
+    chart.append("path")
+        .datum(history)
+        .attr("class", "panel-line")
+        .attr("d", line);
+
+    if (projected.length > 0) {
+        chart.append("path")
+            .datum([history[history.length - 1], ...projected])
+            .attr("class", "panel-line panel-projection")
+            .attr("d", line);
+    }
+
+    // Marker for the year the scene is showing
+    const active = [...history, ...projected].find(d => d.year === activeYear);
+    if (active) {
+        chart.append("circle")
+            .attr("class", "panel-marker")
+            .attr("cx", xScale(active.year))
+            .attr("cy", yScale(active[field]))
+            .attr("r", 4);
+    }
+}
+
+/**
+ * Close the panel and clear the selection, leaving the scene untouched
+ */
+function closeCountryPanel() {
+    if (!globalState.selectedCountry) return;
+    selectCountry(globalState.selectedCountry); // Toggling the selection off closes the panel
+}
+
+/**
+ * Wire up the panel's close controls
+ */
+function setupCountryPanel() {
+    d3.select("#panel-close").on("click", closeCountryPanel);
+
+    d3.select(document).on("keydown.country-panel", event => {
+        if (event.key === "Escape") {
+            closeCountryPanel();
+        }
+    });
+}
@@ -0,0 +1,405 @@
+/**
+ * Digital Divide Visualization - Data Loader
+ * Parses connectivity data from our CSV, World Bank indicator JSON or a user CSV,
+ * reporting bad rows instead of filling in values
+ */
+
+// Fields every connectivity record needs
+const connectivityFields = {
+    country: { label: "Country name", numeric: false, aliases: ["country", "country name", "name"] },
+    countryCode: { label: "ISO3 country code", numeric: false, aliases: ["countrycode", "country code", "iso3", "iso_a3", "code"] },
+    year: { label: "Year", numeric: true, aliases: ["year", "date", "time"] },
+    internetPenetration: { label: "Internet users (% of population)", numeric: true, aliases: ["internetpenetration", "internet", "internet users", "it.net.user.zs"] },
+    gdpPerCapita: { label: "GDP per capita (USD)", numeric: true, aliases: ["gdppercapita", "gdp per capita", "gdp", "ny.gdp.pcap.cd"] },
+    population: { label: "Population", numeric: true, aliases: ["population", "pop", "sp.pop.totl"] },
+    region: { label: "Region", numeric: false, aliases: ["region"] }
+};
+
+/**
+ * Map each field to the CSV header that most likely holds it
+ */
+function guessColumnMap(headers) {
+    const normalized = headers.map(h => h.trim().toLowerCase());
+    const columnMap = {};
+
+    Object.entries(connectivityFields).forEach(([field, spec]) => {
+        const index = normalized.findIndex(h => spec.aliases.includes(h));
+        columnMap[field] = index >= 0 ? headers[index] : null;
+    });
+
+    return columnMap;
+}
+
+/**
+ * Turn raw rows into connectivity records using a column map
+ * Rows with a missing or non-numeric value are left out and listed in issues.
+ * When no region column is mapped, regions are looked up by country code in regionLookup.
+ */
+function parseConnectivityRows(rows, columnMap, regionLookup = new Map()) {
+    const records = [];
+    const issues = [];
+
+    rows.forEach((row, i) => {
+        const record = {};
+        const rowIssues = [];
+
+        Object.entries(connectivityFields).forEach(([field, spec]) => {
+            let raw = columnMap[field] ? row[columnMap[field]] : undefined;
+            if (field === "region" && !columnMap.region) {
+                raw = regionLookup.get(record.countryCode);
+            }
+            const value = raw === undefined || raw === null ? "" : String(raw).trim();
+
+            if (value === "") {
+                rowIssues.push({ row: i + 2, field, value, message: `missing ${spec.label.toLowerCase()}` });
+            } else if (spec.numeric && !Number.isFinite(+value)) {
+                rowIssues.push({ row: i + 2, field, value, message: `non-numeric ${spec.label.toLowerCase()} "${value}"` });
+            } else {
+                record[field] = spec.numeric ? +value : value;
+            }
+        });
+
+        if (rowIssues.length > 0) {
+            issues.push(...rowIssues);
+        } else {
+            records.push(record);
+        }
+    });
+
+    return { records, issues, total: rows.length };
+}
+
+/**
+ * Load the configured connectivity CSV
+ */
+async function loadConnectivityCsv(url) {
+    const rows = await d3.csv(url);
+    return parseConnectivityRows(rows, guessColumnMap(rows.columns));
+}
+
+/**
+ * Parse World Bank API responses into connectivity records
+ * Accepts the API's [metadata, entries] pair or a bare entries array, for indicator exports
+ * and for the country list, whose regions extend regionLookup (countryCode -> region).
+ */
+function parseWorldBankJson(responses, regionLookup) {
+    const indicatorFields = appConfig.worldBank.indicators;
+    const regions = new Map(regionLookup);
+    const byCountryYear = new Map();
+    const issues = [];
+    let total = 0;
+
+    responses.forEach(json => {
+        const entries = Array.isArray(json) && json.length === 2 && Array.isArray(json[1]) ? json[1] : json;
+        if (!Array.isArray(entries)) {
+            issues.push({ row: null, field: null, value: "", message: "not a World Bank API export" });
+            return;
+        }
+
+        entries.forEach(entry => {
+            // Country list: aggregates such as "World" have no region
+            if (entry.region) {
+                if (entry.region.id !== "NA") {
+                    regions.set(entry.id, entry.region.value.trim());
+                }
+                return;
+            }
+
+            total++;
+            const field = indicatorFields[entry.indicator && entry.indicator.id];
+            const countryCode = entry.countryiso3code;
+            const year = +entry.date;
+
+            if (!field || !countryCode || !Number.isFinite(year)) return;
+
+            const key = `${countryCode}-${year}`;
+            if (!byCountryYear.has(key)) {
+                byCountryYear.set(key, { country: entry.country.value, countryCode, year });
+            }
+            if (entry.value !== null && Number.isFinite(+entry.value)) {
+                byCountryYear.get(key)[field] = +entry.value;
+            }
+        });
+    });
+
+    const records = [];
+    byCountryYear.forEach((record, key) => {
+        const region = regions.get(record.countryCode);
+        const missing = Object.values(indicatorFields).filter(field => record[field] === undefined);
+
+        if (!region) {
+            issues.push({ row: key, field: "region", value: record.countryCode, message: `${record.country} ${record.year}: no region (aggregate or unknown country)` });
+        } else if (missing.length > 0) {
+            issues.push({ row: key, field: missing.join(", "), value: "", message: `${record.country} ${record.year}: missing ${missing.join(", ")}` });
+        } else {
+            records.push({ ...record, region });
+        }
+    });
+
+    return { records, issues, total };
+}
+
+/**
+ * Fetch the country list and every configured indicator from the World Bank API
+ */
+async function loadWorldBankIndicators(regionLookup) {
+    const { endpoint, countriesEndpoint, indicators } = appConfig.worldBank;
+    const responses = await Promise.all([
+        d3.json(countriesEndpoint),
+        ...Object.keys(indicators).map(id => d3.json(endpoint.replace("{indicator}", id)))
+    ]);
+    return parseWorldBankJson(responses, regionLookup);
+}
+
+/**
+ * Region of every country in the current dataset
+ */
+function getRegionLookup() {
+    return new Map(globalState.data.connectivity.map(d => [d.countryCode, d.region]));
+}
+
+/**
+ * Read the chosen files: CSVs go to the column-mapping step, JSON files are parsed as World Bank exports
+ */
+async function stageDataFiles(files) {
+    const state = globalState.dataLoader;
+    state.csvRows = [];
+    state.jsonResponses = [];
+    const issues = [];
+
+    for (const file of files) {
+        const text = await file.text();
+        try {
+            if (/\.json$/i.test(file.name)) {
+                state.jsonResponses.push(JSON.parse(text));
+            } else {
+                const rows = d3.csvParse(text);
+                if (state.csvRows.length === 0) {
+                    state.columnMap = guessColumnMap(rows.columns);
+                    state.csvHeaders = rows.columns;
+                }
+                state.csvRows.push(...rows);
+            }
+        } catch (error) {
+            issues.push({ row: null, field: null, value: file.name, message: `${file.name} could not be read: ${error.message}` });
+        }
+    }
+
+    renderColumnMapping();
+    stagePendingData(issues);
+}
+
+/**
+ * Parse everything staged so far and show the validation report
+ */
+function stagePendingData(fileIssues = []) {
+    const state = globalState.dataLoader;
+    const regionLookup = getRegionLookup();
+    const results = [];
+
+    if (state.csvRows.length > 0) {
+        results.push(parseConnectivityRows(state.csvRows, state.columnMap, regionLookup));
+    }
+    if (state.jsonResponses.length > 0) {
+        results.push(parseWorldBankJson(state.jsonResponses, regionLookup));
+    }
+
+    state.pending = {
+        records: results.flatMap(r => r.records),
+        issues: fileIssues.concat(results.flatMap(r => r.issues)),
+        total: d3.sum(results, r => r.total)
+    };
+
+    renderDataReport(state.pending);
+}
+
+/**
+ * One select per field, prefilled with the guessed CSV column
+ */
+function renderColumnMapping() {
+    const { csvRows, csvHeaders, columnMap } = globalState.dataLoader;
+    const container = d3.select("#column-mapping");
+    container.selectAll("*").remove();
+
+    if (csvRows.length === 0) return;
+
+    container.append("h4").text("Match your columns");
+
+    const field = container.selectAll(".mapping-field")
+        .data(Object.entries(connectivityFields))
+        .enter()
+        .append("label")
+        .attr("class", "mapping-field");
+
+    field.append("span").text(([, spec]) => spec.label);
+
+    field.append("select")
+        .on("change", function(event, [key]) {
+            columnMap[key] = this.value || null;
+            stagePendingData();
+        })
+        .selectAll("option")
+        .data(([key]) => [{ key, header: "" }, ...csvHeaders.map(header => ({ key, header }))])
+        .enter()
+        .append("option")
+        .attr("value", d => d.header)
+        .property("selected", d => (columnMap[d.key] || "") === d.header)
+        .text(d => d.header || (d.key === "region" ? "(look up by country code)" : "(not in file)"));
+}
+
+/**
+ * Summary of usable rows plus the first rejected values
+ */
+function renderDataReport(pending) {
+    const report = d3.select("#data-report");
+    report.selectAll("*").remove();
+
+    const maxListed = 20;
+
+    report.append("p")
+        .attr("class", "data-report-summary")
+        .text(`${pending.records.length} usable records from ${pending.total} rows; ${pending.issues.length} problem(s) found.`);
+
+    const list = report.append("ul").attr("class", "data-report-issues");
+    list.selectAll("li")
+        .data(pending.issues.slice(0, maxListed))
+        .enter()
+        .append("li")
+        .text(d => (typeof d.row === "number" ? `Row ${d.row}: ${d.message}` : d.message));
+
+    if (pending.issues.length > maxListed) {
+        list.append("li").text(`…and ${pending.issues.length - maxListed} more (see console)`);
+        console.warn("Data loader issues:", pending.issues);
+    }
+
+    d3.select("#apply-data").property("disabled", pending.records.length === 0);
+}
+
+/**
+ * Clear anything staged in the Load Data panel
+ */
+function resetDataLoader() {
+    Object.assign(globalState.dataLoader, { csvRows: [], csvHeaders: [], columnMap: null, jsonResponses: [], pending: null });
+    d3.select("#data-file").property("value", "");
+    d3.select("#column-mapping").selectAll("*").remove();
+    d3.select("#data-report").selectAll("*").remove();
+    d3.select("#apply-data").property("disabled", true);
+}
+
+/**
+ * Replace the connectivity dataset and re-render every scene from it
+ */
+function applyConnectivityData(records) {
+    globalState.data.connectivity = records;
+    processData();
+    updateMetricScales();
+
+    // Drop selections the new dataset no longer contains
+    const byCountry = globalState.data.processed.byCountry;
+    if (globalState.selectedCountry && !byCountry.has(globalState.selectedCountry)) {
+        globalState.selectedCountry = null;
+    }
+    globalState.comparison.countries = globalState.comparison.countries.filter(code => byCountry.has(code));
+
+    updateDataControls();
+    updateComparisonView();
+    showScene(globalState.currentScene, { history: "replace" });
+}
+
+/**
+ * Point the region filter, year sliders and labels, scene buttons and country search at the current dataset
+ * (at startup and after every data swap)
+ */
+function updateDataControls() {
+    const { regions, years, countries } = globalState.data.processed;
+
+    // Keep each scene's year if the dataset covers it
+    if (!years.includes(globalState.scene2.currentYear)) {
+        globalState.scene2.currentYear = years[0];
+    }
+    if (!years.includes(globalState.scene3.currentYear)) {
+        globalState.scene3.currentYear = years[years.length - 1];
+    }
+
+    if (!regions.includes(globalState.scene3.selectedRegion)) {
+        globalState.scene3.selectedRegion = "all";
+    }
+
+    d3.selectAll(".region-filter")
+        .selectAll("option")
+        .data(["all", ...regions])
+        .join("option")
+        .attr("value", d => d)
+        .text(d => (d === "all" ? "All Regions" : d));
+
+    d3.selectAll(".region-filter").property("value", globalState.scene3.selectedRegion);
+
+    if (!regions.includes(globalState.mapZoom.region)) {
+        globalState.mapZoom.region = "all";
+    }
+
+    d3.selectAll(".map-region-select")
+        .selectAll("option")
+        .data(["all", ...regions])
+        .join("option")
+        .attr("value", d => d)
+        .text(d => (d === "all" ? "Whole world" : d));
+
+    d3.selectAll(".map-region-select").property("value", globalState.mapZoom.region);
+
+    d3.selectAll(".year-slider")
+        .attr("min", years[0])
+        .attr("max", years[years.length - 1]);
+    d3.select("#year-slider").property("value", globalState.scene2.currentYear);
+    d3.select("#scene3-year-slider").property("value", globalState.scene3.currentYear);
+    d3.select("#scene3-current-year").text(globalState.scene3.currentYear);
+    updateProjectionControls();
+
+    d3.select("#scene1-btn .scene-title").text(`The Dark Age (${years[0]})`);
+    d3.select("#scene2-btn .scene-title").text(`The Revolution (${years[0]}-${years[years.length - 1]})`);
+
+    d3.select("#country-options")
+        .selectAll("option")
+        .data([...countries].sort())
+        .join("option")
+        .attr("value", d => d);
+}
+
+/**
+ * Wire up the Load Data panel
+ */
+function setupDataLoader() {
+    d3.select("#data-file").on("change", function() {
+        if (this.files.length > 0) {
+            stageDataFiles([...this.files]);
+        }
+    });
+
+    d3.select("#fetch-world-bank").on("click", async function() {
+        const button = d3.select(this).property("disabled", true).text("Fetching...");
+        try {
+            globalState.dataLoader.pending = await loadWorldBankIndicators(getRegionLookup());
+            renderDataReport(globalState.dataLoader.pending);
+        } catch (error) {
+            showError(`World Bank data could not be fetched: ${error.message}`);
+        } finally {
+            button.property("disabled", false).text("Fetch from World Bank");
+        }
+    });
+
+    d3.select("#apply-data").on("click", () => {
+        const { pending } = globalState.dataLoader;
+        if (!pending || pending.records.length === 0) return;
+        applyConnectivityData(pending.records);
+        resetDataLoader();
+    });
+
+    d3.select("#cancel-data").on("click", resetDataLoader);
+
+    d3.select("#estimate-missing-years")
+        .property("checked", globalState.estimateMissingYears)
+        .on("change", function() {
+            globalState.estimateMissingYears = this.checked;
+            applyConnectivityData(globalState.data.connectivity);
+        });
+}
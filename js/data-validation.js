@@ -0,0 +1,215 @@
+/**
+ * Digital Divide Visualization - Data Validation
+ * Data-quality checks on the connectivity records, reported in the data panel
+ */
+
+// Expected type and valid range of every connectivity field
+const validationSchema = {
+    country: { type: "string" },
+    countryCode: { type: "string" },
+    region: { type: "string" },
+    year: { type: "number", integer: true },
+    internetPenetration: { type: "number", min: 0, max: 100 },
+    gdpPerCapita: { type: "number", positive: true },
+    population: { type: "number", positive: true }
+};
+
+// Year-over-year penetration changes (percentage points): every fall is flagged, and one larger than
+// maxPenetrationDrop is an error; rises above maxPenetrationRise are flagged as suspicious
+const validationThresholds = {
+    maxPenetrationDrop: 5,
+    maxPenetrationRise: 25
+};
+
+const validationChecks = {
+    schema: "Schema",
+    range: "Out of range",
+    duplicate: "Duplicate rows",
+    coverage: "Missing years",
+    join: "Not on the map",
+    constant: "Constant series",
+    decline: "Falling penetration",
+    jump: "Suspicious jumps"
+};
+
+/**
+ * Run every check, plus the countries the map join could not place (see buildCountryJoin), and return a structured report
+ * Each issue is { severity: "error" | "warning", check, countryCode, country, year, field, message }
+ */
+function validateConnectivityData(records, unmatched = []) {
+    const issues = [];
+    const add = (severity, check, record, field, message) => issues.push({
+        severity,
+        check,
+        countryCode: record.countryCode || null,
+        country: record.country || null,
+        year: Number.isFinite(record.year) ? record.year : null,
+        field,
+        message
+    });
+
+    // Schema and ranges, per record
+    records.forEach(record => {
+        Object.entries(validationSchema).forEach(([field, rule]) => {
+            const value = record[field];
+
+            if (rule.type === "string") {
+                if (typeof value !== "string" || value.trim() === "") {
+                    add("error", "schema", record, field, `${field} is missing`);
+                }
+                return;
+            }
+
+            if (typeof value !== "number" || !Number.isFinite(value)) {
+                add("error", "schema", record, field, `${field} is not a number (${value})`);
+            } else if (rule.integer && !Number.isInteger(value)) {
+                add("error", "schema", record, field, `${field} is not a whole number (${value})`);
+            } else if (rule.positive && value <= 0) {
+                add("error", "range", record, field, `${field} ${value} is not positive`);
+            } else if (value < rule.min || value > rule.max) {
+                add("error", "range", record, field, `${field} ${value} is outside ${rule.min}–${rule.max}`);
+            }
+        });
+    });
+
+    // Countries missing from the map still appear in the charts
+    unmatched.forEach(d => {
+        add("warning", "join", d, "countryCode", `not drawn on the map (${d.reason})`);
+    });
+
+    const years = [...new Set(records.map(d => d.year))].filter(Number.isFinite).sort((a, b) => a - b);
+    const byCountry = d3.group(records, d => d.countryCode);
+
+    byCountry.forEach(countryRecords => {
+        const first = countryRecords[0];
+        const series = [...countryRecords].sort((a, b) => a.year - b.year);
+
+        // Duplicate country-year rows
+        d3.groups(series, d => d.year)
+            .filter(([, rows]) => rows.length > 1)
+            .forEach(([year, rows]) => {
+                add("error", "duplicate", rows[0], "year", `${rows.length} rows for ${year}`);
+            });
+
+        // Years the dataset covers that this country lacks
+        const present = new Set(series.map(d => d.year));
+        const missing = years.filter(year => !present.has(year));
+        if (missing.length > 0) {
+            add("warning", "coverage", first, "year", `no data for ${formatYearRanges(missing)}`);
+        }
+
+        // Series that never change usually mean a value was copied across years
+        if (present.size > 2) {
+            ["population", "gdpPerCapita", "internetPenetration"].forEach(field => {
+                const values = new Set(series.map(d => d[field]));
+                if (values.size === 1) {
+                    const metric = metricDefinitions[field];
+                    add("warning", "constant", first, field, `${metric.shortLabel} is ${metric.format(first[field])} in every year`);
+                }
+            });
+        }
+
+        // Penetration should rise, and fairly steadily
+        for (let i = 1; i < series.length; i++) {
+            const previous = series[i - 1];
+            const current = series[i];
+            if (current.year === previous.year) continue;
+
+            const change = current.internetPenetration - previous.internetPenetration;
+            if (change < 0) {
+                add(-change > validationThresholds.maxPenetrationDrop ? "error" : "warning", "decline", current, "internetPenetration",
+                    `penetration fell ${Math.abs(change).toFixed(1)} pts from ${previous.year} to ${current.year}`);
+            } else if (change > validationThresholds.maxPenetrationRise) {
+                add("warning", "jump", current, "internetPenetration",
+                    `penetration rose ${change.toFixed(1)} pts from ${previous.year} to ${current.year}`);
+            }
+        }
+    });
+
+    return {
+        records: records.length,
+        countries: byCountry.size,
+        years: years.length > 0 ? [years[0], years[years.length - 1]] : [],
+        errors: issues.filter(d => d.severity === "error").length,
+        warnings: issues.filter(d => d.severity === "warning").length,
+        issues
+    };
+}
+
+/**
+ * Compact list of years, e.g. "2003, 2007–2009"
+ */
+function formatYearRanges(years) {
+    const ranges = [];
+    years.forEach(year => {
+        const last = ranges[ranges.length - 1];
+        if (last && year === last[1] + 1) {
+            last[1] = year;
+        } else {
+            ranges.push([year, year]);
+        }
+    });
+    return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}–${end}`)).join(", ");
+}
+
+/**
+ * Show a report in the data panel, opening it when there are errors
+ */
+function updateDataPanel(report) {
+    d3.select("#data-panel-btn")
+        .classed("has-errors", report.errors > 0)
+        .classed("has-warnings", report.errors === 0 && report.warnings > 0)
+        .text(`Data Quality (${report.errors} errors, ${report.warnings} warnings)`);
+
+    d3.select("#data-panel-summary").text(
+        `${report.records} records · ${report.countries} countries · ${report.years.join("–")}`
+    );
+
+    const groups = d3.groups(report.issues, d => d.check)
+        .sort((a, b) => Object.keys(validationChecks).indexOf(a[0]) - Object.keys(validationChecks).indexOf(b[0]));
+
+    const container = d3.select("#data-panel-issues");
+    container.selectAll("*").remove();
+
+    if (groups.length === 0) {
+        container.append("p")
+            .attr("class", "data-panel-ok")
+            .text("✓ All checks passed");
+    }
+
+    groups.forEach(([check, checkIssues]) => {
+        // A check with any error is shown as one
+        const severity = checkIssues.some(d => d.severity === "error") ? "error" : "warning";
+        const group = container.append("details")
+            .attr("class", `data-check ${severity}`)
+            .property("open", severity === "error");
+
+        group.append("summary")
+            .text(`${validationChecks[check]} (${checkIssues.length})`);
+
+        group.append("ul")
+            .selectAll("li")
+            .data(checkIssues)
+            .enter()
+            .append("li")
+            .text(d => `${d.country || "Unknown"}${d.year !== null && check !== "coverage" && check !== "constant" ? ` ${d.year}` : ""}: ${d.message}`);
+    });
+
+    if (report.errors > 0) {
+        d3.select("#data-panel").classed("open", true);
+    }
+}
+
+/**
+ * Wire up the data panel's open and dismiss buttons
+ */
+function setupDataPanel() {
+    d3.select("#data-panel-btn").on("click", () => {
+        const panel = d3.select("#data-panel");
+        panel.classed("open", !panel.classed("open"));
+    });
+
+    d3.select("#data-panel-close").on("click", () => {
+        d3.select("#data-panel").classed("open", false);
+    });
+}
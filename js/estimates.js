@@ -0,0 +1,129 @@
+/**
+ * Digital Divide Visualization - Estimated Values
+ * Fills missing country-years by interpolation and marks them as estimated in the scenes
+ */
+
+// Fields interpolated for a missing year, with the decimals the source data uses
+const estimatedFields = {
+    internetPenetration: 1,
+    gdpPerCapita: 0,
+    population: 0
+};
+
+/**
+ * Add an estimated record for every year a country lacks
+ * Values are interpolated linearly between the nearest known years and carried to the ends.
+ */
+function fillMissingYears(records) {
+    const years = [...new Set(records.map(d => d.year))].sort((a, b) => a - b);
+    const filled = [...records];
+
+    d3.group(records, d => d.countryCode).forEach(countryRecords => {
+        const known = [...countryRecords].sort((a, b) => a.year - b.year);
+        const present = new Set(known.map(d => d.year));
+
+        years.filter(year => !present.has(year)).forEach(year => {
+            const nextIndex = known.findIndex(d => d.year > year);
+            const before = nextIndex === -1 ? known[known.length - 1] : known[nextIndex - 1];
+            const after = nextIndex === -1 ? undefined : known[nextIndex];
+
+            const estimate = {
+                country: known[0].country,
+                countryCode: known[0].countryCode,
+                region: known[0].region,
+                year,
+                estimated: true
+            };
+
+            Object.entries(estimatedFields).forEach(([field, decimals]) => {
+                let value = (before || after)[field];
+                if (before && after) {
+                    const t = (year - before.year) / (after.year - before.year);
+                    value = before[field] + t * (after[field] - before[field]);
+                }
+                estimate[field] = +value.toFixed(decimals);
+            });
+
+            filled.push(estimate);
+        });
+    });
+
+    return filled;
+}
+
+/**
+ * Diagonal hatch drawn over estimated countries
+ */
+function defineEstimatedPattern(svg) {
+    const pattern = svg.append("defs")
+        .append("pattern")
+        .attr("id", "estimated-hatch")
+        .attr("width", 6)
+        .attr("height", 6)
+        .attr("patternUnits", "userSpaceOnUse")
+        .attr("patternTransform", "rotate(45)");
+
+    pattern.append("line")
+        .attr("x1", 0)
+        .attr("y1", 0)
+        .attr("x2", 0)
+        .attr("y2", 6)
+        .attr("class", "estimated-hatch-line");
+}
+
+/**
+ * Hatched copy of every map feature, shown only where the year's value is estimated
+ */
+function addEstimatedOverlay(svg, features, path) {
+    defineEstimatedPattern(svg);
+
+    return svg.append("g")
+        .attr("class", "estimated-overlay")
+        .selectAll("path")
+        .data(features)
+        .enter()
+        .append("path")
+        .attr("class", "estimated-area")
+        .attr("d", path)
+        .attr("fill", "url(#estimated-hatch)");
+}
+
+/**
+ * Show the hatch on the features whose record for the year is estimated
+ */
+function updateEstimatedOverlay(overlay, yearLookup) {
+    overlay.attr("display", d => {
+        const countryData = findCountryData(d, yearLookup);
+        return countryData && countryData.estimated ? null : "none";
+    });
+}
+
+/**
+ * Small hatched swatch labelled "Estimated", centered on x
+ */
+function addEstimatedKey(legend, x, y) {
+    const key = legend.append("g")
+        .attr("class", "estimated-key")
+        .attr("transform", `translate(${x - 35}, ${y - 10})`);
+
+    key.append("rect")
+        .attr("width", 12)
+        .attr("height", 12)
+        .attr("fill", "url(#estimated-hatch)")
+        .style("stroke", "#333");
+
+    key.append("text")
+        .attr("x", 17)
+        .attr("y", 10)
+        .style("font-size", "11px")
+        .text("Estimated");
+}
+
+/**
+ * Tooltip line flagging an estimated value
+ */
+function formatEstimatedNote(countryData) {
+    return countryData.estimated
+        ? `<span class="estimated-note">Estimated (no data reported for ${countryData.year})</span><br>`
+        : "";
+}
@@ -0,0 +1,283 @@
+/**
+ * Digital Divide Visualization - Export
+ * Download the current view as SVG or PNG, and the rows it shows as CSV
+ */
+
+// Computed styles copied onto every exported element so the file renders without styles.css
+const exportStyleProperties = [
+    "fill", "fill-opacity", "stroke", "stroke-width", "stroke-dasharray", "stroke-opacity",
+    "opacity", "display", "visibility", "font-family", "font-size", "font-weight", "font-style",
+    "text-anchor", "dominant-baseline", "color", "vector-effect", "paint-order", "stroke-linejoin"
+];
+
+// Space added above and below the chart for the title and source line
+const exportFrame = {
+    header: 50,
+    footer: 30
+};
+
+const recordColumns = [
+    "country", "countryCode", "region", "year",
+    "internetPenetration", "gdpPerCapita", "population", "internetUsers", "estimated"
+];
+
+/**
+ * Standalone copy of the current scene's SVG with inlined styles, a title and a source line
+ */
+function buildExportSvg() {
+    const source = d3.select("#visualization svg").node();
+    if (!source) {
+        throw new Error("There is no chart to export in this scene.");
+    }
+
+    const width = +source.getAttribute("width");
+    const height = +source.getAttribute("height");
+    const clone = source.cloneNode(true);
+
+    // Inline the computed style of every element, walking original and copy in step
+    const originals = [source, ...source.querySelectorAll("*")];
+    const copies = [clone, ...clone.querySelectorAll("*")];
+    originals.forEach((element, i) => {
+        const computed = window.getComputedStyle(element);
+        exportStyleProperties.forEach(property => {
+            const value = computed.getPropertyValue(property);
+            if (value) {
+                copies[i].style.setProperty(property, value);
+            }
+        });
+    });
+
+    // Hidden elements (such as unused hatch overlays) only add weight
+    copies
+        .filter(copy => copy.style.display === "none" || copy.getAttribute("display") === "none")
+        .forEach(copy => copy.remove());
+
+    const totalHeight = height + exportFrame.header + exportFrame.footer;
+    const svg = d3.create("svg")
+        .attr("xmlns", "http://www.w3.org/2000/svg")
+        .attr("width", width)
+        .attr("height", totalHeight)
+        .attr("viewBox", `0 0 ${width} ${totalHeight}`)
+        .style("font-family", window.getComputedStyle(document.body).getPropertyValue("font-family"));
+
+    svg.append("rect")
+        .attr("width", width)
+        .attr("height", totalHeight)
+        .attr("fill", "white");
+
+    svg.append("text")
+        .attr("x", 20)
+        .attr("y", 30)
+        .style("font-size", "20px")
+        .style("font-weight", "bold")
+        .style("fill", "#2d3748")
+        .text(`${d3.select("#current-scene-title").text()} · ${getExportYearLabel()}`);
+
+    clone.setAttribute("y", exportFrame.header);
+    svg.node().appendChild(clone);
+
+    svg.append("text")
+        .attr("x", 20)
+        .attr("y", totalHeight - 10)
+        .style("font-size", "11px")
+        .style("fill", "#4a5568")
+        .text("Source: World Bank, Natural Earth · The Digital Divide");
+
+    return svg.node();
+}
+
+/**
+ * Year or year range the current scene shows
+ */
+function getExportYearLabel() {
+    const years = globalState.data.processed.years;
+    return globalState.currentScene <= 3
+        ? `${getActiveYear()}`
+        : `${years[0]}–${years[years.length - 1]}`;
+}
+
+/**
+ * Base file name for the current view, e.g. "digital-divide-scene2-2012"
+ */
+function getExportFileName() {
+    return `digital-divide-scene${globalState.currentScene}-${getExportYearLabel().replace("–", "-")}`;
+}
+
+/**
+ * SVG file contents for an export SVG node
+ */
+function createSvgBlob(svg) {
+    const markup = new XMLSerializer().serializeToString(svg);
+    return new Blob([`<?xml version="1.0" encoding="UTF-8"?>\n${markup}`], { type: "image/svg+xml;charset=utf-8" });
+}
+
+/**
+ * Download the current view as an SVG file
+ */
+function exportSvg() {
+    downloadBlob(createSvgBlob(buildExportSvg()), `${getExportFileName()}.svg`);
+}
+
+/**
+ * Draw an export SVG onto a canvas at the given scale
+ */
+function rasterizeSvg(svg, scale = 1) {
+    const width = +svg.getAttribute("width");
+    const height = +svg.getAttribute("height");
+    const url = URL.createObjectURL(createSvgBlob(svg));
+
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+
+            const context = canvas.getContext("2d");
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            resolve(canvas);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error("The chart could not be rendered as an image."));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Rasterize the current view at the given scale and download it as a PNG file
+ */
+async function exportPng(scale = 2) {
+    try {
+        const canvas = await rasterizeSvg(buildExportSvg(), scale);
+        canvas.toBlob(blob => downloadBlob(blob, `${getExportFileName()}@${scale}x.png`), "image/png");
+    } catch (error) {
+        showError(`Export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Rows behind the current view: the displayed year slice, or the series a summary scene plots
+ */
+function getDisplayedRows() {
+    const { byYear } = globalState.data.processed;
+    const byCountryName = rows => [...rows].sort((a, b) => d3.ascending(a.country, b.country));
+
+    // Bivariate maps add each country's cell of the grid
+    const withMapClass = ({ columns, rows }, scale) => (isBivariateMetric()
+        ? {
+            columns: [...columns, "bivariateClass"],
+            rows: rows.map(d => ({ ...d, bivariateClass: describeBivariateClass(scale, d) }))
+        }
+        : { columns, rows });
+
+    switch (globalState.currentScene) {
+        case 1:
+            return withMapClass({ columns: recordColumns, rows: byCountryName(byYear.get(globalState.scene1.year) || []) }, colorScales.scene1);
+        case 2:
+            if (isProjectedYear(globalState.scene2.currentYear)) {
+                return withMapClass({
+                    columns: [...recordColumns, "projected"],
+                    rows: byCountryName(getYearRecords(globalState.scene2.currentYear))
+                }, colorScales.scene2);
+            }
+            return withMapClass({ columns: recordColumns, rows: byCountryName(byYear.get(globalState.scene2.currentYear) || []) }, colorScales.scene2);
+        case 3: {
+            const rows = byCountryName(filterScene3Data(byYear.get(globalState.scene3.currentYear) || []));
+            if (!globalState.scene3.showTrendline) {
+                return { columns: recordColumns, rows };
+            }
+
+            // Distance from the trend line drawn, for countries it was fitted to
+            const residuals = new Map(fitScene3Trends(rows)
+                .filter(({ fit }) => fit)
+                .flatMap(({ fit }) => fit.residuals.map(r => [r.record.countryCode, r.residual])));
+            if (residuals.size === 0) {
+                return { columns: recordColumns, rows };
+            }
+            return {
+                columns: [...recordColumns, "trendResidual"],
+                rows: rows.map(d => ({ ...d, trendResidual: residuals.get(d.countryCode) }))
+            };
+        }
+        case 4:
+            return {
+                columns: ["region", "year", "min", "median", "max", "lowest", "highest", "count"],
+                rows: [...calculateRegionBands()].flatMap(([region, bands]) => bands.map(d => ({ region, ...d })))
+            };
+        case 5:
+            return {
+                columns: ["year", "quintileGap", "gini", "stdDev", "top", "bottom"],
+                rows: calculateDivideMetrics().map(d => ({
+                    ...d,
+                    top: d.top.map(r => r.country).join("; "),
+                    bottom: d.bottom.map(r => r.country).join("; ")
+                }))
+            };
+        case 6:
+            return {
+                columns: ["country", "countryCode", "region", "firstYear", "firstRank", "lastYear", "lastRank", "rankChange", "gain"],
+                rows: sortRankChanges(calculateRankChanges(calculateRankSeries()))
+            };
+        default:
+            return { columns: recordColumns, rows: [] };
+    }
+}
+
+/**
+ * Download the rows behind the current view as a CSV file
+ */
+function exportCsv() {
+    const { columns, rows } = getDisplayedRows();
+    const csv = d3.csvFormat(rows.map(d => ({ ...d, estimated: d.estimated ? "yes" : "", projected: d.projected ? "yes" : "" })), columns);
+    downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), `${getExportFileName()}.csv`);
+}
+
+/**
+ * Save a blob through a temporary link
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Wire up the export menu
+ */
+function setupExport() {
+    const menu = d3.select("#export-menu");
+
+    d3.select("#export-toggle").on("click", event => {
+        event.stopPropagation();
+        menu.classed("open", !menu.classed("open"));
+    });
+
+    // Close when clicking anywhere else
+    d3.select(document).on("click.export", event => {
+        if (!menu.node().contains(event.target)) {
+            menu.classed("open", false);
+        }
+    });
+
+    const run = exporter => () => {
+        menu.classed("open", false);
+        try {
+            exporter();
+        } catch (error) {
+            showError(`Export failed: ${error.message}`);
+        }
+    };
+
+    d3.select("#export-svg").on("click", run(exportSvg));
+    d3.select("#export-png").on("click", run(() => exportPng(+d3.select("#export-scale").property("value"))));
+    d3.select("#export-csv").on("click", run(exportCsv));
+}
@@ -0,0 +1,180 @@
+/**
+ * Digital Divide Visualization - GIF Encoder
+ * Minimal animated GIF (GIF89a) writer for canvas frames: one shared 256-color palette, LZW-compressed
+ */
+
+/**
+ * Encode canvases of equal size into a looping animated GIF
+ * frameDelay is in milliseconds (GIF stores hundredths of a second)
+ */
+function encodeGif(canvases, frameDelay) {
+    const { width, height } = canvases[0];
+    const frames = canvases.map(canvas => canvas.getContext("2d").getImageData(0, 0, width, height).data);
+    const { palette, indexOf } = buildGifPalette(frames);
+    const bytes = [];
+
+    const writeString = text => [...text].forEach(c => bytes.push(c.charCodeAt(0)));
+    const writeShort = value => bytes.push(value & 0xff, (value >> 8) & 0xff);
+
+    // Header and logical screen with a 256-entry global color table
+    writeString("GIF89a");
+    writeShort(width);
+    writeShort(height);
+    bytes.push(0xf7, 0, 0);
+    palette.forEach(([r, g, b]) => bytes.push(r, g, b));
+
+    // Loop forever
+    bytes.push(0x21, 0xff, 0x0b);
+    writeString("NETSCAPE2.0");
+    bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+
+    const delay = Math.max(2, Math.round(frameDelay / 10));
+
+    frames.forEach(data => {
+        // Graphic control extension: frame delay, no transparency
+        bytes.push(0x21, 0xf9, 0x04, 0x04);
+        writeShort(delay);
+        bytes.push(0x00, 0x00);
+
+        // Image descriptor covering the whole canvas
+        bytes.push(0x2c);
+        writeShort(0);
+        writeShort(0);
+        writeShort(width);
+        writeShort(height);
+        bytes.push(0x00);
+
+        const indices = new Uint8Array(width * height);
+        for (let i = 0; i < indices.length; i++) {
+            indices[i] = indexOf(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+        }
+
+        // LZW data in sub-blocks of at most 255 bytes
+        const compressed = lzwEncode(indices, 8);
+        bytes.push(8);
+        for (let i = 0; i < compressed.length; i += 255) {
+            const block = compressed.slice(i, i + 255);
+            bytes.push(block.length, ...block);
+        }
+        bytes.push(0x00);
+    });
+
+    bytes.push(0x3b);
+    return new Blob([new Uint8Array(bytes)], { type: "image/gif" });
+}
+
+/**
+ * 256 most common colors across all frames (on a 5-bit-per-channel grid), and a nearest-color lookup
+ */
+function buildGifPalette(frames) {
+    const bins = 1 << 15;
+    const counts = new Uint32Array(bins);
+    const sums = new Float64Array(bins * 3);
+    const keyOf = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+    // Sample every other pixel of every frame
+    frames.forEach(data => {
+        for (let i = 0; i < data.length; i += 8) {
+            const key = keyOf(data[i], data[i + 1], data[i + 2]);
+            counts[key]++;
+            sums[key * 3] += data[i];
+            sums[key * 3 + 1] += data[i + 1];
+            sums[key * 3 + 2] += data[i + 2];
+        }
+    });
+
+    const topBins = d3.range(bins)
+        .filter(key => counts[key] > 0)
+        .sort((a, b) => counts[b] - counts[a])
+        .slice(0, 256);
+
+    const palette = topBins.map(key => [0, 1, 2].map(c => Math.round(sums[key * 3 + c] / counts[key])));
+    while (palette.length < 256) {
+        palette.push([0, 0, 0]);
+    }
+
+    // Nearest palette entry per grid cell, computed on first use
+    const cache = new Int16Array(bins).fill(-1);
+    const indexOf = (r, g, b) => {
+        const key = keyOf(r, g, b);
+        if (cache[key] < 0) {
+            let best = 0;
+            let bestDistance = Infinity;
+            palette.forEach(([pr, pg, pb], i) => {
+                const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = i;
+                }
+            });
+            cache[key] = best;
+        }
+        return cache[key];
+    };
+
+    return { palette, indexOf };
+}
+
+/**
+ * Variable-length LZW compression as used by GIF
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+    let buffer = 0;
+    let bufferBits = 0;
+
+    const writeCode = code => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            output.push(buffer & 0xff);
+            buffer >>>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    writeCode(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = dictionary.get(key);
+
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        writeCode(prefix);
+
+        if (nextCode < 4096) {
+            if (nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
+            dictionary.set(key, nextCode++);
+        } else {
+            // Table full: start over
+            writeCode(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+
+        prefix = index;
+    }
+
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bufferBits > 0) {
+        output.push(buffer & 0xff);
+    }
+
+    return output;
+}
@@ -0,0 +1,284 @@
+/**
+ * Digital Divide Visualization - Data Insights
+ * Finds notable countries in each year's data and calls them out on the maps and scatterplot
+ */
+
+// Callout placement: distance of the label from its country, line spacing and the widest label expected
+const insightSettings = {
+    offsetX: 45,
+    offsetY: 40,
+    lineHeight: 14,
+    labelWidth: 260
+};
+
+// How each kind of insight is introduced in its callout
+const insightLabels = {
+    jump: "Biggest jump",
+    over: "Overachiever",
+    under: "Underachiever",
+    slow: "Slowest adopter"
+};
+
+// Last analysis, reused while only the view changes (zooming, redraws)
+let insightCache = { records: null, key: null, insights: [] };
+
+/**
+ * Format a change in penetration as signed points
+ */
+function formatPoints(value) {
+    return `${value >= 0 ? "+" : "−"}${Math.abs(value).toFixed(0)} pts`;
+}
+
+/**
+ * Country with the largest rise in penetration since the previous year in the data
+ */
+function findBiggestJump(records, year) {
+    const years = globalState.data.processed.years;
+    const previousYear = years[years.indexOf(year) - 1];
+    if (previousYear === undefined) return null;
+
+    const previous = createYearLookup(globalState.data.processed.byYear.get(previousYear) || []);
+
+    // Interpolated values rise smoothly by construction, so only measured pairs count
+    const jumps = records
+        .filter(d => !d.estimated && previous.has(d.countryCode) && !previous.get(d.countryCode).estimated)
+        .map(d => ({ record: d, gain: d.internetPenetration - previous.get(d.countryCode).internetPenetration }));
+
+    const biggest = d3.greatest(jumps, d => d.gain);
+    return biggest && biggest.gain > 0
+        ? { type: "jump", record: biggest.record, detail: `${formatPoints(biggest.gain)} since ${previousYear}` }
+        : null;
+}
+
+/**
+ * Countries furthest above and below the GDP trend (the fit chosen for Scene 3)
+ */
+function findTrendOutliers(records) {
+    const fit = fitTrendModel(records, globalState.scene3.trendModel);
+    if (!fit) return [];
+
+    const over = d3.greatest(fit.residuals, r => r.residual);
+    const under = d3.least(fit.residuals, r => r.residual);
+
+    return [
+        over && over.residual > 0
+            ? { type: "over", record: over.record, detail: `${formatPoints(over.residual)} vs. GDP trend` }
+            : null,
+        under && under.residual < 0
+            ? { type: "under", record: under.record, detail: `${formatPoints(under.residual)} vs. GDP trend` }
+            : null
+    ].filter(Boolean);
+}
+
+/**
+ * Country that has closed the least of its gap to full connectivity since the first year in the data
+ * (measured against the gap, so countries that started near 100% are not penalised for running out of room)
+ */
+function findSlowestAdopter(records, year) {
+    const firstYear = globalState.data.processed.years[0];
+    if (year <= firstYear) return null;
+
+    const first = createYearLookup(globalState.data.processed.byYear.get(firstYear) || []);
+    const progress = records
+        .filter(d => first.has(d.countryCode) && first.get(d.countryCode).internetPenetration < 100)
+        .map(d => {
+            const start = first.get(d.countryCode).internetPenetration;
+            return { record: d, closed: (d.internetPenetration - start) / (100 - start) };
+        });
+
+    const slowest = d3.least(progress, d => d.closed);
+    return slowest
+        ? {
+            type: "slow",
+            record: slowest.record,
+            detail: `${Math.round(slowest.closed * 100)}% of gap closed since ${firstYear}`
+        }
+        : null;
+}
+
+/**
+ * Notable countries among a year's records, one entry per country with every insight about it
+ */
+function findInsights(records, year) {
+    const key = `${year}|${globalState.scene3.trendModel}`;
+    if (insightCache.records === records && insightCache.key === key) {
+        return insightCache.insights;
+    }
+
+    const found = [
+        findBiggestJump(records, year),
+        ...findTrendOutliers(records),
+        findSlowestAdopter(records, year)
+    ].filter(Boolean);
+
+    const insights = d3.groups(found, d => d.record.countryCode)
+        .map(([countryCode, items]) => ({
+            countryCode,
+            record: items[0].record,
+            types: items.map(d => d.type),
+            lines: items.map(d => `${insightLabels[d.type]} · ${d.detail}`)
+        }));
+
+    insightCache = { records, key, insights };
+    return insights;
+}
+
+/**
+ * Draw callouts with connector lines inside a width × height box
+ * Each callout has an anchor (the country's position) and its insight lines
+ */
+function drawInsightCallouts(group, callouts, width, height) {
+    const { offsetX, offsetY, lineHeight, labelWidth } = insightSettings;
+
+    // Point each label away from the nearest edges
+    const placed = callouts.map(c => {
+        const [x, y] = c.anchor;
+        const towardsRight = x < width / 2;
+        const below = y < height / 2;
+        const lineCount = c.lines.length + 1;
+        const labelX = towardsRight
+            ? Math.min(x + offsetX, width - labelWidth)
+            : Math.max(x - offsetX, labelWidth);
+        return {
+            ...c,
+            towardsRight,
+            lineCount,
+            labelX,
+            labelY: below ? y + offsetY : y - offsetY - (lineCount - 1) * lineHeight
+        };
+    }).sort((a, b) => a.labelY - b.labelY);
+
+    // Push apart labels that would overlap, then keep them inside the box
+    placed.forEach((c, i) => {
+        placed.slice(0, i).forEach(other => {
+            const sameColumn = Math.abs(
+                (c.towardsRight ? c.labelX : c.labelX - labelWidth) -
+                (other.towardsRight ? other.labelX : other.labelX - labelWidth)) < labelWidth;
+            const otherBottom = other.labelY + other.lineCount * lineHeight + 4;
+            if (sameColumn && c.labelY < otherBottom) {
+                c.labelY = otherBottom;
+            }
+        });
+        c.labelY = Math.max(lineHeight, Math.min(height - (c.lineCount - 1) * lineHeight - 4, c.labelY));
+    });
+
+    const callout = group.selectAll(".insight-callout")
+        .data(placed, d => d.countryCode)
+        .enter()
+        .append("g")
+        .attr("class", d => `insight-callout ${d.types.map(type => `insight-${type}`).join(" ")}`);
+
+    callout.append("circle")
+        .attr("class", "insight-target")
+        .attr("cx", d => d.anchor[0])
+        .attr("cy", d => d.anchor[1])
+        .attr("r", 6);
+
+    // Elbow connector from the country to the first line of the label
+    callout.append("polyline")
+        .attr("class", "insight-connector")
+        .attr("points", d => {
+            const edgeX = d.labelX + (d.towardsRight ? -4 : 4);
+            const textY = d.labelY - 4;
+            return `${d.anchor[0]},${d.anchor[1]} ${edgeX},${textY} ${edgeX + (d.towardsRight ? 4 : -4)},${textY}`;
+        });
+
+    const text = callout.append("text")
+        .attr("class", "insight-label")
+        .attr("x", d => d.labelX)
+        .attr("y", d => d.labelY)
+        .style("text-anchor", d => d.towardsRight ? "start" : "end");
+
+    text.append("tspan")
+        .attr("class", "insight-country")
+        .text(d => d.record.country);
+
+    text.selectAll(".insight-line")
+        .data(d => d.lines.map(line => ({ line, x: d.labelX })))
+        .enter()
+        .append("tspan")
+        .attr("class", "insight-line")
+        .attr("x", d => d.x)
+        .attr("dy", lineHeight)
+        .text(d => d.line);
+}
+
+/**
+ * Year the map being shown covers
+ */
+function getMapInsightYear() {
+    return globalState.currentScene === 2 ? globalState.scene2.currentYear : globalState.scene1.year;
+}
+
+/**
+ * Redraw the map callouts at the current year and zoom (called on every zoom step)
+ */
+function updateMapInsights() {
+    const { layer, path, features, mapHeight } = globalState.mapZoom;
+    if (!layer || !layer.node().isConnected) return;
+
+    layer.select(".insight-callouts").remove();
+
+    // Callouts describe the data, not the projection
+    const year = getMapInsightYear();
+    if (!globalState.showInsights || isProjectedYear(year)) return;
+
+    const insights = findInsights(globalState.data.processed.byYear.get(year) || [], year);
+    const transform = d3.zoomTransform(layer.node());
+    const featureByCode = new Map(features.map(feature => [getFeatureCountryCode(feature), feature]));
+
+    // Anchor at the middle of each country's mainland, where the zoom has moved it; skip countries zoomed out of view
+    const callouts = insights
+        .filter(insight => featureByCode.has(insight.countryCode))
+        .map(insight => {
+            const [[x0, y0], [x1, y1]] = getMainlandBounds(featureByCode.get(insight.countryCode), path);
+            return { ...insight, anchor: transform.apply([(x0 + x1) / 2, (y0 + y1) / 2]) };
+        })
+        .filter(({ anchor: [x, y] }) => x >= 0 && x <= dimensions.width && y >= 0 && y <= mapHeight);
+
+    const group = layer.append("g").attr("class", "insight-callouts");
+    drawInsightCallouts(group, callouts, dimensions.width, mapHeight);
+}
+
+/**
+ * Redraw the scatterplot callouts for the countries shown
+ */
+function updateScatterplotInsights(data) {
+    const chart = globalState.scene3.chartGroup;
+    const { xScale, yScale } = globalState.scene3.scales;
+
+    chart.select(".insight-callouts").remove();
+    if (!globalState.showInsights) return;
+
+    const callouts = findInsights(data, globalState.scene3.currentYear)
+        .map(insight => ({
+            ...insight,
+            anchor: [xScale(insight.record.gdpPerCapita), yScale(insight.record.internetPenetration)]
+        }));
+
+    const group = chart.append("g").attr("class", "insight-callouts");
+    drawInsightCallouts(group, callouts, xScale.range()[1], yScale.range()[0]);
+}
+
+/**
+ * Redraw the callouts of the scene being shown
+ */
+function updateInsights() {
+    if (globalState.currentScene === 1 || globalState.currentScene === 2) {
+        updateMapInsights();
+    } else if (globalState.currentScene === 3) {
+        updateScatterplotInsights(filterScene3Data(globalState.scene3.yearData));
+    }
+}
+
+/**
+ * Wire up the callouts toggle
+ */
+function setupInsights() {
+    d3.select("#show-insights")
+        .property("checked", globalState.showInsights)
+        .on("change", function() {
+            globalState.showInsights = this.checked;
+            updateInsights();
+        });
+}
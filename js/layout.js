@@ -0,0 +1,199 @@
+/**
+ * Digital Divide Visualization - Responsive Layout
+ * Sizes the scenes to their container, re-renders on resize, stacks legends on narrow screens and adds tap tooltips
+ */
+
+// Charts are drawn at the container width within these bounds; below narrowWidth legends and annotations stack
+const layoutBounds = {
+    minWidth: 320,
+    maxWidth: 960,
+    narrowWidth: 700
+};
+
+// Width of the annotation boxes next to the legends, and the gap between the two
+const legendGroup = {
+    annotationWidth: 260,
+    annotationHeight: 75,
+    gap: 40
+};
+
+/**
+ * Width available to the chart inside the visualization container
+ */
+function measureVisualizationWidth() {
+    const container = document.getElementById("visualization-container");
+    if (!container) return layoutBounds.maxWidth;
+
+    const style = window.getComputedStyle(container);
+    const innerWidth = container.clientWidth - parseFloat(style.paddingLeft || 0) - parseFloat(style.paddingRight || 0);
+
+    // Not laid out (hidden, or no layout engine): draw at full width
+    if (!(innerWidth > 0)) return layoutBounds.maxWidth;
+
+    return Math.round(Math.max(layoutBounds.minWidth, Math.min(layoutBounds.maxWidth, innerWidth)));
+}
+
+/**
+ * Resize `dimensions` to the container; true when the width changed
+ */
+function updateDimensions() {
+    const width = measureVisualizationWidth();
+    const changed = width !== dimensions.width;
+    dimensions.width = width;
+    return changed;
+}
+
+/**
+ * Narrow screens stack legends, annotations and side boxes under the chart
+ */
+function isNarrowLayout() {
+    return dimensions.width < layoutBounds.narrowWidth;
+}
+
+/**
+ * Scene SVG at the current width; the viewBox lets it shrink with the page until the next re-render
+ */
+function createSceneSvg(height) {
+    return d3.select("#visualization")
+        .append("svg")
+        .attr("width", dimensions.width)
+        .attr("height", height)
+        .attr("viewBox", `0 0 ${dimensions.width} ${height}`);
+}
+
+/**
+ * World map projection scaled to the current width, and where the legend group starts below it
+ */
+function getMapLayout() {
+    const scale = dimensions.width / layoutBounds.maxWidth;
+
+    return {
+        scale,
+        projection: d3.geoNaturalEarth1()
+            .scale(150 * scale)
+            .translate([dimensions.width / 2, 250 * scale]),
+        groupTop: Math.round(485 * scale)
+    };
+}
+
+/**
+ * Length of the map legends' color ramp (shorter on phones)
+ */
+function getMapLegendWidth() {
+    return Math.min(300, dimensions.width - 50);
+}
+
+/**
+ * Height of the map legends' box (taller for the bivariate grid)
+ */
+function getMapLegendHeight() {
+    return isBivariateMetric() ? bivariateLegend.height : 75;
+}
+
+/**
+ * Place a legend box and an annotation box from `top`: side by side and centered, or stacked when narrow
+ * Returns the top-left corner of each box and the bottom of the group
+ */
+function layoutLegendGroup(legendWidth, legendHeight, top) {
+    const { annotationWidth, annotationHeight, gap } = legendGroup;
+
+    if (!isNarrowLayout()) {
+        const startX = (dimensions.width - (legendWidth + gap + annotationWidth)) / 2;
+        return {
+            legendX: startX,
+            legendY: top,
+            annotationX: startX + legendWidth + gap,
+            annotationY: top,
+            bottom: top + Math.max(legendHeight, annotationHeight)
+        };
+    }
+
+    return {
+        legendX: (dimensions.width - legendWidth) / 2,
+        legendY: top,
+        annotationX: (dimensions.width - annotationWidth) / 2,
+        annotationY: top + legendHeight + 10,
+        bottom: top + legendHeight + 10 + annotationHeight
+    };
+}
+
+// Country shape whose tooltip a first tap opened; tapping it again clicks it
+let tappedElement = null;
+
+/**
+ * Touch screens: the first tap on a country shows its tooltip, a second tap opens it
+ */
+function makeTappable(selection, showTapTooltip) {
+    selection.on("touchend.tap", function(event, d) {
+        if (tappedElement === this) {
+            tappedElement = null;
+            hideTooltip();
+            return; // Let the click through
+        }
+
+        // Suppress the emulated mouse events and click
+        event.preventDefault();
+        tappedElement = this;
+
+        const touch = event.changedTouches[0];
+        showTapTooltip({ pageX: touch.pageX, pageY: touch.pageY }, d);
+        keepTooltipOnScreen();
+    });
+}
+
+/**
+ * Hide a tap tooltip when a touch lands anywhere but the tapped country
+ */
+function dismissTapTooltip(target) {
+    if (tappedElement && !tappedElement.contains(target)) {
+        tappedElement = null;
+        hideTooltip();
+    }
+}
+
+/**
+ * Pull the tooltip back inside the viewport (a tap near the edge of a phone screen)
+ */
+function keepTooltipOnScreen() {
+    const tooltip = d3.select("#tooltip");
+    const node = tooltip.node();
+    const maxLeft = window.scrollX + document.documentElement.clientWidth - node.offsetWidth - 8;
+    const left = parseFloat(node.style.left) || 0;
+
+    tooltip.style("left", `${Math.max(window.scrollX + 8, Math.min(left, maxLeft))}px`);
+}
+
+/**
+ * Re-render the current scene when the container width changes, and dismiss tap tooltips on outside taps
+ */
+function setupResponsiveLayout() {
+    let resizeTimer = null;
+
+    const handleResize = () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+            // Frames of a recording must all share one size
+            if (globalState.scene2.isRecording) return;
+
+            if (updateDimensions()) {
+                updateRecordingScaleLabels();
+                if (globalState.currentScene > 0) {
+                    showScene(globalState.currentScene, { history: "none" });
+                }
+            }
+        }, 150);
+    };
+
+    // The container also narrows when a side panel opens, which the window size does not show
+    const container = document.getElementById("visualization-container");
+    if (window.ResizeObserver && container) {
+        new ResizeObserver(handleResize).observe(container);
+    } else {
+        d3.select(window).on("resize.layout", handleResize);
+    }
+
+    d3.select(document).on("touchstart.tap", event => dismissTapTooltip(event.target));
+
+    updateDimensions();
+    updateRecordingScaleLabels();
+}
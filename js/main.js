@@ -7,10 +7,54 @@
 const globalState = {
     currentScene: 1,
     isTransitioning: false,
+    selectedCountry: null,
+    selectedMetric: "internetPenetration",
+    palette: readSavedPalette(), // Color set chosen in the palette selector
+    estimateMissingYears: true, // Interpolate country-years missing from the data
+    showInsights: true, // Call out notable countries (see insights.js)
+    projectionHorizon: projectionSettings.defaultHorizon, // Last year Scene 2 projects to, 0 for none (see projection.js)
+    
+    // Zoom shared by the Scene 1 and 2 maps (transform is kept with the width it was made at)
+    mapZoom: {
+        region: "all",
+        transform: null,
+        width: 0,
+        behavior: null,
+        layer: null,
+        path: null,
+        features: [],
+        mapHeight: 0
+    },
+    
+    // Guided story (see story.js); the controls stay locked while it is active
+    story: {
+        active: false,
+        step: 0,
+        autoScrolling: false, // While a step scrolls itself into view, the steps it passes are not picked
+        scrollTimer: null
+    },
+    
+    // Countries picked for side-by-side comparison
+    comparison: {
+        active: false,
+        countries: [],
+        maxCountries: 5,
+        colorSlots: new Map() // Country code -> color index, kept from when it was added until it is removed
+    },
+    
+    // Dataset staged in the Load Data panel, applied on confirmation
+    dataLoader: {
+        csvRows: [],
+        csvHeaders: [],
+        columnMap: null,
+        jsonResponses: [],
+        pending: null
+    },
     
     // Data storage
     data: {
         connectivity: null,
+        countryCodes: null,
         worldMap: null,
         processed: null
     },
@@ -18,8 +62,7 @@ const globalState = {
     // Scene parameters
     scene1: {
         year: 2000,
-        hoveredCountry: null,
-        annotationX: 0
+        hoveredCountry: null
     },
     
     scene2: {
@@ -27,32 +70,50 @@ const globalState = {
         isAnimating: false,
         animationSpeed: 500,
         animationTimer: null,
-        annotationX: 0
+        weightedAverage: true,
+        isRecording: false
     },
     
     scene3: {
         selectedRegion: "all",
         hoveredCountry: null,
         showTrendline: true,
+        trendModel: "linear", // Key of trendModels (see trend-models.js)
+        trendByRegion: false, // One fit per region under All Regions
+        showResiduals: false, // Label the countries furthest from the trend
+        trendResiduals: null, // Country code → points above (+) or below (−) the trend drawn
         scales: null,
         chartGroup: null,
-        data2024: null,
-        annotationX: 0
+        currentYear: 2024,
+        yearData: null,
+        isAnimating: false,
+        animationSpeed: 500,
+        animationTimer: null,
+        showTrails: false
+    },
+    
+    // Scene 6 ranks the countries kept by the Scene 3 region filter (selectedRegion above)
+    scene6: {
+        sortKey: "rankChange", // Rank table column, see rankTableColumns in scene-ranks.js
+        sortDescending: true
     }
 };
 
-// Visualization dimensions
+// Visualization dimensions (the width follows the container, see layout.js)
 const dimensions = {
     width: 960,
     height: 580,
     margin: { top: 20, right: 20, bottom: 60, left: 80 }
 };
 
-// Color scales
+// Color scales (from the active palette, see palettes.js)
 const colorScales = {
-    scene1: d3.scaleSequential(d3.interpolateBlues).domain([0, 60]),
-    scene2: d3.scaleSequential(d3.interpolateViridis).domain([0, 100]),
-    scene3: d3.scaleOrdinal(d3.schemeCategory10)
+    scene1: d3.scaleSequential(getPalette().scene1).domain([0, 60]),
+    scene2: d3.scaleSequential(getPalette().scene2).domain([0, 100]),
+    scene3: d3.scaleOrdinal(getPalette().regions),
+    comparison: d3.scaleOrdinal(getPalette().comparison),
+    bars: getPalette().bars,
+    noData: getPalette().noData
 };
 
 /**
@@ -73,12 +134,29 @@ async function init() {
         
         // Set up event listeners
         setupEventListeners();
+        setupUrlState();
+        setupCountryPanel();
+        setupComparison();
+        setupDataLoader();
+        setupDataPanel();
+        setupExport();
+        setupRecording();
+        setupAccessibility();
+        setupPalette();
+        setupResponsiveLayout();
+        setupMapZoom();
+        setupStory();
+        setupInsights();
+        setupProjection();
+        
+        // Point the year controls and scene buttons at the dataset loaded
+        updateDataControls();
         
         // Ensure we start with scene 1 active state
-        globalState.currentScene = 0; // Reset so showScene(1) will actually run
+        globalState.currentScene = 0; // Reset so showScene will actually run
         
-        // Initialize first scene
-        showScene(1);
+        // Initialize the scene from the URL (scene 1 by default)
+        applyUrlState(readUrlState(), "replace");
         
         // Hide loading screen
         showLoading(false);
@@ -87,7 +165,8 @@ async function init() {
         
     } catch (error) {
         console.error("Initialization failed:", error);
-        showError("Failed to load data. Please check your data files.");
+        showLoading(false);
+        showError(`${error.message} Please check your connection or data files.`);
     }
 }
 
@@ -98,22 +177,24 @@ async function loadData() {
     console.log("Loading data...");
     
     try {
-        // Load connectivity data 
-        const connectivityData = await d3.csv("data/connectivityfull.csv", d => ({
-            country: d.country,
-            countryCode: d.countryCode,
-            year: +d.year,
-            internetPenetration: +d.internetPenetration,
-            gdpPerCapita: +d.gdpPerCapita,
-            population: d.population ? +d.population : 50000000,  // Fallback if missing
-            region: d.region
-        }));
+        // Load connectivity data (rows with missing or non-numeric values are skipped, not filled in)
+        const { records: connectivityData, issues } = await loadConnectivityCsv(appConfig.connectivity.url);
+        if (issues.length > 0) {
+            console.warn(`Skipped rows in ${appConfig.connectivity.url}:`, issues);
+        }
+        if (connectivityData.length === 0) {
+            throw new Error(`No valid rows in ${appConfig.connectivity.url}.`);
+        }
+        
+        // Load countryCode -> numeric map ID table
+        const countryCodes = await loadCountryCodes();
         
         // Load world map data
-        const worldMapData = await d3.json("https://cdn.jsdelivr.net/npm/world-atlas/countries-50m.json");
+        const worldMapData = await loadWorldMap();
         
         // Store raw data
         globalState.data.connectivity = connectivityData;
+        globalState.data.countryCodes = countryCodes;
         globalState.data.worldMap = worldMapData;
         
         // Process and validate data
@@ -128,27 +209,79 @@ async function loadData() {
     }
 }
 
+/**
+ * Load the world map, trying each configured source in order
+ */
+async function loadWorldMap() {
+    const urls = getBasemapUrls();
+    
+    for (let i = 0; i < urls.length; i++) {
+        try {
+            const worldMapData = await d3.json(urls[i]);
+            if (i > 0) {
+                console.warn(`Basemap loaded from fallback ${urls[i]}`);
+            }
+            return worldMapData;
+        } catch (error) {
+            console.warn(`Basemap unavailable from ${urls[i]}:`, error.message);
+        }
+    }
+    
+    throw new Error(`The ${appConfig.basemap.resolution} world map could not be loaded from ${urls.join(" or ")}.`);
+}
+
 /**
  * Process raw data for visualization
  */
 function processData() {
-    const connectivity = globalState.data.connectivity;
+    // Optionally estimate missing country-years (flagged as estimated)
+    const connectivity = globalState.estimateMissingYears
+        ? fillMissingYears(globalState.data.connectivity)
+        : globalState.data.connectivity;
+    
+    // Add derived series (internet users = penetration x population)
+    addDerivedMetrics(connectivity);
     
     // Group data by year
     const dataByYear = d3.group(connectivity, d => d.year);
     
+    // Companion index: each country's records in year order
+    const dataByCountry = d3.group(
+        [...connectivity].sort((a, b) => a.year - b.year),
+        d => d.countryCode
+    );
+    
+    // Match the data to the basemap; countries it cannot place are reported with the validation
+    const countryJoin = buildCountryJoin(globalState.data.countryCodes, connectivity, globalState.data.worldMap);
+    
     // Create processed data structure
     globalState.data.processed = {
         byYear: dataByYear,
+        byCountry: dataByCountry,
         countries: [...new Set(connectivity.map(d => d.country))],
         years: [...new Set(connectivity.map(d => d.year))].sort(),
-        regions: [...new Set(connectivity.map(d => d.region))]
+        regions: [...new Set(connectivity.map(d => d.region))],
+        countryJoin,
+        validation: validateConnectivityData(globalState.data.connectivity, countryJoin.unmatched),
+        estimatedCount: connectivity.length - globalState.data.connectivity.length
     };
     
+    // Scene 1 shows the first year in the data
+    globalState.scene1.year = globalState.data.processed.years[0];
+    
+    // Adoption curves and projected years for Scene 2
+    buildProjections();
+    
+    updateDataPanel(globalState.data.processed.validation);
+    
     console.log("Data processed:", {
         years: globalState.data.processed.years,
         countries: globalState.data.processed.countries.length,
-        regions: globalState.data.processed.regions
+        regions: globalState.data.processed.regions,
+        unmatched: globalState.data.processed.countryJoin.unmatched.length,
+        estimated: globalState.data.processed.estimatedCount,
+        errors: globalState.data.processed.validation.errors,
+        warnings: globalState.data.processed.validation.warnings
     });
 }
 
@@ -159,15 +292,42 @@ function setupEventListeners() {
     // Scene navigation buttons
     d3.selectAll(".scene-btn").on("click", function() {
         const sceneNumber = +this.dataset.scene;
+        const years = globalState.data.processed.years;
+        if (sceneNumber === 2) {
+            globalState.scene2.currentYear = years[0]; // Scene 2 always opens at the start of the timeline
+        } else if (sceneNumber === 3) {
+            globalState.scene3.currentYear = years[years.length - 1]; // Scene 3 opens on today's divide
+        }
         showScene(sceneNumber);
     });
     
+    // Map metric selectors (scenes 1 and 2 share the selection)
+    d3.selectAll(".metric-select").on("change", function() {
+        setMetric(this.value);
+        writeUrlState();
+    });
+    
     // Scene 2 controls
     d3.select("#play-pause-btn").on("click", toggleAnimation);
     d3.select("#reset-btn").on("click", resetAnimation);
-    d3.select("#year-slider").on("input", function() {
-        updateYear(+this.value);
+    d3.select("#year-slider")
+        .on("input", function() {
+            updateYear(+this.value, "none");
+        })
+        .on("change", function() {
+            writeUrlState(); // One history entry per slider release
+        });
+    d3.select("#weighted-average").on("change", function() {
+        globalState.scene2.weightedAverage = this.checked;
+        if (globalState.currentScene === 2 && globalState.scene2.updateFunction) {
+            globalState.scene2.updateFunction(globalState.scene2.currentYear);
+        } else {
+            // The country panel's gaps use the same averaging
+            updateCountryPanel();
+        }
+        writeUrlState();
     });
+    
     d3.select("#speed-control").on("change", function() {
         globalState.scene2.animationSpeed = +this.value;
         if (globalState.scene2.isAnimating) {
@@ -178,12 +338,16 @@ function setupEventListeners() {
         }
     });
     
-    // Scene 3 controls
-    d3.select("#region-filter").on("change", function() {
+    // Scene 3 controls (Scene 6 has a copy of the region filter)
+    d3.selectAll(".region-filter").on("change", function() {
         globalState.scene3.selectedRegion = this.value;
+        d3.selectAll(".region-filter").property("value", this.value);
         if (globalState.currentScene === 3) {
             updateScene3();
+        } else if (globalState.currentScene === 6) {
+            showScene(6, { history: "none" });
         }
+        writeUrlState();
     });
     
     d3.select("#show-trendline").on("change", function() {
@@ -191,6 +355,47 @@ function setupEventListeners() {
         if (globalState.currentScene === 3) {
             updateScene3();
         }
+        writeUrlState();
+    });
+    
+    d3.select("#trend-model").on("change", function() {
+        globalState.scene3.trendModel = this.value;
+        if (globalState.currentScene === 3) {
+            updateScene3();
+        }
+        writeUrlState();
+    });
+    
+    d3.select("#trend-by-region").on("change", function() {
+        globalState.scene3.trendByRegion = this.checked;
+        if (globalState.currentScene === 3) {
+            updateScene3();
+        }
+        writeUrlState();
+    });
+    
+    d3.select("#show-residuals").on("change", function() {
+        globalState.scene3.showResiduals = this.checked;
+        if (globalState.currentScene === 3) {
+            updateScene3();
+        }
+        writeUrlState();
+    });
+    
+    d3.select("#scene3-play-btn").on("click", toggleScatterplotAnimation);
+    d3.select("#scene3-year-slider")
+        .on("input", function() {
+            updateScene3Year(+this.value, "none");
+        })
+        .on("change", function() {
+            writeUrlState();
+        });
+    
+    d3.select("#show-trails").on("change", function() {
+        globalState.scene3.showTrails = this.checked;
+        if (globalState.currentScene === 3) {
+            updateScene3();
+        }
     });
     
     console.log("Event listeners set up");
@@ -198,8 +403,9 @@ function setupEventListeners() {
 
 /**
  * Show specific scene
+ * options.history: "push" (default), "replace" or "none" for how the URL is updated
  */
-function showScene(sceneNumber) {
+function showScene(sceneNumber, options = {}) {
     if (globalState.isTransitioning) {
         console.log(`Skipping scene ${sceneNumber} - already transitioning`);
         return;
@@ -213,6 +419,9 @@ function showScene(sceneNumber) {
     console.log(`Transitioning to scene ${sceneNumber}`);
     globalState.isTransitioning = true;
     
+    // Stop the scatterplot animation before its chart is removed
+    stopScatterplotAnimation();
+    
     // Update navigation FIRST
     updateNavigation(sceneNumber);
     
@@ -232,10 +441,34 @@ function showScene(sceneNumber) {
             case 3:
                 showScene3();
                 break;
+            case 4:
+                showScene4();
+                break;
+            case 5:
+                showScene5();
+                break;
+            case 6:
+                showScene6();
+                break;
         }
         
         globalState.currentScene = sceneNumber;
         globalState.isTransitioning = false;
+        
+        // Name the chart for screen readers
+        const sceneTitle = d3.select("#current-scene-title").text();
+        d3.select("#visualization svg")
+            .attr("role", "group")
+            .attr("aria-label", `${sceneTitle}. A data table version is available below the chart.`);
+        announce(`Scene ${sceneNumber}: ${sceneTitle}`);
+        
+        highlightCountries();
+        refreshCountryViews();
+        
+        const historyMode = options.history || "push";
+        if (historyMode !== "none") {
+            writeUrlState(historyMode);
+        }
     }, 50);
 }
 
@@ -248,7 +481,8 @@ function updateNavigation(sceneNumber) {
     d3.select(`[data-scene="${sceneNumber}"]`).classed("active", true);
     
     // Update progress bar
-    const progress = (sceneNumber - 1) / 2 * 100;
+    const sceneCount = d3.selectAll(".scene-btn").size();
+    const progress = (sceneNumber - 1) / (sceneCount - 1) * 100;
     d3.select("#progress-bar").style("width", `${progress}%`);
     
     // Update scene controls
@@ -256,10 +490,15 @@ function updateNavigation(sceneNumber) {
     d3.select(`#scene${sceneNumber}-controls`).classed("active", true);
     
     // Update titles
+    const years = globalState.data.processed.years;
+    const span = `${years[0]}-${years[years.length - 1]}`;
     const titles = {
-        1: { title: "The Digital Dark Age", desc: "In the year 2000, most of the world was offline" },
-        2: { title: "The Connected Revolution", desc: "Watch as the world comes online (2000-2024)" },
-        3: { title: "Today's Digital Divide", desc: "Wealth and connectivity in the modern world" }
+        1: { title: "The Digital Dark Age", desc: `In the year ${years[0]}, most of the world was offline` },
+        2: { title: "The Connected Revolution", desc: `Watch as the world comes online (${span})` },
+        3: { title: "Today's Digital Divide", desc: "Wealth and connectivity in the modern world" },
+        4: { title: "Who Got Left Behind", desc: `The spread of connectivity within each region (${span})` },
+        5: { title: "Is the Divide Closing?", desc: "How unequal connectivity is across countries, year by year" },
+        6: { title: "Who Moved Up", desc: `Countries ranked by connectivity, year by year (${span})` }
     };
     
     d3.select("#current-scene-title").text(titles[sceneNumber].title);
@@ -274,31 +513,32 @@ function clearVisualization() {
 }
 
 /**
- * Scene 1: Static map of 2000 data
+ * Scene 1: Static map of the first year in the data
  */
 function showScene1() {
-    console.log("Rendering Scene 1: The Digital Dark Age (2000)");
+    const year = globalState.scene1.year;
+    console.log(`Rendering Scene 1: The Digital Dark Age (${year})`);
+    
+    // Name the metric and year the map is colored by
+    d3.select("#scene1-metric-label").text(`${metricDefinitions[globalState.selectedMetric].label} in ${year}`);
     
-    const data2000 = globalState.data.processed.byYear.get(2000) || [];
+    const firstYearData = globalState.data.processed.byYear.get(year) || [];
     
-    if (data2000.length === 0) {
-        console.warn("No data available for year 2000");
-        showError("No data available for the year 2000");
+    if (firstYearData.length === 0) {
+        console.warn(`No data available for year ${year}`);
+        showError(`No data available for the year ${year}`);
         return;
     }
     
-    console.log(`Scene 1: Found ${data2000.length} records for year 2000`);
+    console.log(`Scene 1: Found ${firstYearData.length} records for year ${year}`);
     
-    // Create SVG
-    const svg = d3.select("#visualization")
-        .append("svg")
-        .attr("width", dimensions.width)
-        .attr("height", dimensions.height);
+    // Map, then the legend and annotation below it
+    const { projection, groupTop } = getMapLayout();
+    const layout = layoutLegendGroup(getMapLegendWidth() + 30, getMapLegendHeight(), groupTop);
     
-    // Set up map projection
-    const projection = d3.geoNaturalEarth1()
-        .scale(150)
-        .translate([dimensions.width / 2, 250]);
+    // Create SVG (bivariate maps outline their countries)
+    const svg = createSceneSvg(layout.bottom + 20)
+        .classed("bivariate-map", isBivariateMetric());
     
     const path = d3.geoPath().projection(projection);
     
@@ -307,91 +547,60 @@ function showScene1() {
     
     console.log(`Scene 1: Processing ${countries.features.length} geographic features`);
     
-    // Create data lookup with multiple mapping strategies
-    const dataLookup = new Map();
-    const nameToCodeMap = new Map();
-    
-    data2000.forEach(d => {
-        // Multi mapping approaches
-        dataLookup.set(d.countryCode, d);  // Original 3-letter codes
-        dataLookup.set(d.countryCode.toLowerCase(), d);  // Lowercase
-        nameToCodeMap.set(d.country.toLowerCase(), d);  // By country name
-        
-        // Add common alternative codes/names
-        const alternatives = getCountryAlternatives(d.countryCode, d.country);
-        alternatives.forEach(alt => {
-            dataLookup.set(alt, d);
-        });
-    });
+    // Index the year's records by country code
+    const yearLookup = createYearLookup(firstYearData);
     
-    // Function to find country data w/ multiple strategies
-    function findCountryData(geoFeature) {
-        const geoId = geoFeature.id;
-        const geoProps = geoFeature.properties;
-        
-        // Strategy 1: Direct ID match
-        let data = dataLookup.get(geoId);
-        if (data) return data;
-        
-        // Strategy 2: Numeric ID to ISO conversion
-        const isoCode = numericToISO(geoId);
-        if (isoCode) {
-            data = dataLookup.get(isoCode);
-            if (data) return data;
-        }
-        
-        // Strategy 3: Try different property names for country name
-        let geoName = null;
-        if (geoProps) {
-            geoName = geoProps.NAME || geoProps.name || geoProps.NAME_EN || 
-                     geoProps.NAME_LONG || geoProps.ADMIN || geoProps.NAME_SORT;
-        }
-        
-        if (geoName) {
-            // Strategy 4: Name-based matching
-            data = nameToCodeMap.get(geoName.toLowerCase());
-            if (data) return data;
-            
-            // Strategy 5: Fuzzy name matching
-            data = fuzzyNameMatch(geoName, nameToCodeMap);
-            if (data) return data;
-        }
-        
-        return null;
-    }
+    const { matchedCount, unmatched } = globalState.data.processed.countryJoin;
     
-    let matchedCount = 0;
-    let totalCount = countries.features.length;
+    // Draw countries in a zoomable layer
+    const mapLayer = svg.append("g")
+        .attr("class", "map-layer");
+    const mapFeatures = mapLayer.append("g")
+        .attr("class", "map-features");
     
-    // Draw countries
-    svg.append("g")
+    const countryPaths = mapFeatures.append("g")
         .selectAll("path")
         .data(countries.features)
         .enter()
         .append("path")
         .attr("class", "country")
         .attr("d", path)
-        .attr("fill", d => {
-            const countryData = findCountryData(d);
-            if (!countryData) {
-                return "#e2e8f0"; // No data color
-            }
-            matchedCount++;
-            return colorScales.scene1(countryData.internetPenetration);
-        })
+        .attr("fill", d => getMetricFill(colorScales.scene1, findCountryData(d, yearLookup)))
         .on("mouseover", function(event, d) {
-            showTooltip(event, d, findCountryData(d));
+            showTooltip(event, d, findCountryData(d, yearLookup));
         })
-        .on("mouseout", hideTooltip);
+        .on("mouseout", hideTooltip)
+        .on("click", (event, d) => handleCountryClick(getFeatureCountryCode(d)));
     
-    console.log(`Scene 1 Complete: Matched ${matchedCount} out of ${totalCount} countries with data`);
+    // Hatch countries whose values for the year are estimated
+    const estimatedOverlay = addEstimatedOverlay(mapFeatures, countries.features, path);
+    updateEstimatedOverlay(estimatedOverlay, yearLookup);
+    
+    // Countries with data are reachable from the keyboard
+    makeFocusable(
+        countryPaths.filter(d => globalState.data.processed.byCountry.has(getFeatureCountryCode(d))),
+        (anchor, d) => showTooltip(anchor, d, findCountryData(d, yearLookup)),
+        getFeatureCountryCode
+    );
+    labelMapCountries(countryPaths, yearLookup, year, colorScales.scene1);
+    
+    console.log(`Scene 1 Complete: Matched ${matchedCount} countries with data, ${unmatched.length} unmatched`);
+    
+    // Tap a country for its tooltip on touch screens
+    makeTappable(countryPaths, (anchor, d) => showTooltip(anchor, d, findCountryData(d, yearLookup)));
+    
+    // Zoom and pan (small countries are hard to hover at world scale)
+    createMapZoom(svg, mapLayer, path, countries.features, groupTop);
+    
+    // Call out the year's notable countries
+    updateMapInsights();
     
     // Create legend
-    createLegend1(svg);
+    createLegend1(svg, layout);
     
     // Add title annotation
     addAnnotation(svg, `${matchedCount} countries matched`, 
-        "Gray areas lack connectivity data", globalState.scene1.annotationX, 485);
+        "Areas marked \"No data\" lack connectivity data", layout.annotationX, layout.annotationY);
 }
 
 /**
@@ -400,137 +609,132 @@ function showScene1() {
 function showScene2() {
     console.log("Rendering Scene 2: The Connected Revolution");
     
-    // Reset scene 2 state
-    globalState.scene2.currentYear = 2000;
+    // Reset scene 2 animation state (the year is kept so URL state can restore it)
+    const startYear = globalState.scene2.currentYear;
     globalState.scene2.isAnimating = false;
     if (globalState.scene2.animationTimer) {
         globalState.scene2.animationTimer.stop();
     }
     
-    // Create SVG
-    const svg = d3.select("#visualization")
-        .append("svg")
-        .attr("width", dimensions.width)
-        .attr("height", dimensions.height);
+    // Map, then the legend and annotation below it; the regional averages sit in the
+    // open ocean west of South America when there is room, otherwise below the rest
+    const { projection, groupTop } = getMapLayout();
+    const layout = layoutLegendGroup(getMapLegendWidth() + 30, getMapLegendHeight(), groupTop);
+    const breakdownHeight = 35 + globalState.data.processed.regions.length * 17;
+    const breakdownInOcean = dimensions.width >= 900;
+    layout.breakdownX = breakdownInOcean ? 15 : (dimensions.width - 230) / 2;
+    layout.breakdownY = breakdownInOcean ? 290 : layout.bottom + 10;
     
-    // Set up map projection
-    const projection = d3.geoNaturalEarth1()
-        .scale(150)
-        .translate([dimensions.width / 2, 250]);
+    // Create SVG (bivariate maps outline their countries)
+    const svg = createSceneSvg((breakdownInOcean ? layout.bottom : layout.breakdownY + breakdownHeight) + 20)
+        .classed("bivariate-map", isBivariateMetric());
     
     const path = d3.geoPath().projection(projection);
     
     // Convert TopoJSON to GeoJSON
     const countries = topojson.feature(globalState.data.worldMap, globalState.data.worldMap.objects.countries);
     
-    // Create the same data lookup system
-    function createDataLookup(yearData) {
-        const dataLookup = new Map();
-        const nameToCodeMap = new Map();
-        
-        yearData.forEach(d => {
-            dataLookup.set(d.countryCode, d);
-            dataLookup.set(d.countryCode.toLowerCase(), d);
-            nameToCodeMap.set(d.country.toLowerCase(), d);
-            
-            const alternatives = getCountryAlternatives(d.countryCode, d.country);
-            alternatives.forEach(alt => {
-                dataLookup.set(alt, d);
-            });
-        });
-        
-        return { dataLookup, nameToCodeMap };
-    }
-    
-    // Function to find country data
-    function findCountryData(geoFeature, dataLookup, nameToCodeMap) {
-        const geoId = geoFeature.id;
-        const geoProps = geoFeature.properties;
-        
-        // Strategy 1: Direct ID match
-        let data = dataLookup.get(geoId);
-        if (data) return data;
-        
-        // Strategy 2: Numeric ID to ISO conversion
-        const isoCode = numericToISO(geoId);
-        if (isoCode) {
-            data = dataLookup.get(isoCode);
-            if (data) return data;
-        }
-        
-        // Strategy 3: Name-based matching
-        let geoName = null;
-        if (geoProps) {
-            geoName = geoProps.NAME || geoProps.name || geoProps.NAME_EN || 
-                     geoProps.NAME_LONG || geoProps.ADMIN || geoProps.NAME_SORT;
-        }
-        
-        if (geoName) {
-            data = nameToCodeMap.get(geoName.toLowerCase());
-            if (data) return data;
-            
-            data = fuzzyNameMatch(geoName, nameToCodeMap);
-            if (data) return data;
-        }
-        
-        return null;
-    }
+    // Draw initial countries
+    const initialData = getYearRecords(startYear);
+    const initialLookup = createYearLookup(initialData);
+    updateScene2YearScale(initialData);
     
-    // Draw initial countries (2000 data)
-    const initialData = globalState.data.processed.byYear.get(2000) || [];
-    const { dataLookup: initialLookup, nameToCodeMap: initialNameMap } = createDataLookup(initialData);
+    const mapLayer = svg.append("g")
+        .attr("class", "map-layer");
+    const mapFeatures = mapLayer.append("g")
+        .attr("class", "map-features");
     
-    const countryPaths = svg.append("g")
+    const countryPaths = mapFeatures.append("g")
         .selectAll("path")
         .data(countries.features)
         .enter()
         .append("path")
         .attr("class", "country")
         .attr("d", path)
-        .attr("fill", d => {
-            const countryData = findCountryData(d, initialLookup, initialNameMap);
-            if (!countryData) return "#e2e8f0";
-            return colorScales.scene2(countryData.internetPenetration);
-        })
+        .attr("fill", d => getMetricFill(colorScales.scene2, findCountryData(d, initialLookup)))
         .on("mouseover", function(event, d) {
-            const currentData = globalState.data.processed.byYear.get(globalState.scene2.currentYear) || [];
-            const { dataLookup, nameToCodeMap } = createDataLookup(currentData);
-            showTooltipWithYear(event, d, findCountryData(d, dataLookup, nameToCodeMap), globalState.scene2.currentYear);
+            const currentData = getYearRecords(globalState.scene2.currentYear);
+            showTooltipWithYear(event, d, findCountryData(d, createYearLookup(currentData)), globalState.scene2.currentYear);
         })
-        .on("mouseout", hideTooltip);
+        .on("mouseout", hideTooltip)
+        .on("click", (event, d) => handleCountryClick(getFeatureCountryCode(d)));
     
-    // Update function for animation
-    function updateMapForYear(year) {
-        const yearData = globalState.data.processed.byYear.get(year) || [];
-        const { dataLookup, nameToCodeMap } = createDataLookup(yearData);
+    // Hatch countries whose values for the year are estimated
+    const estimatedOverlay = addEstimatedOverlay(mapFeatures, countries.features, path);
+    updateEstimatedOverlay(estimatedOverlay, initialLookup);
+    
+    // Countries with data are reachable from the keyboard, and every country takes taps
+    const showCurrentYearTooltip = (anchor, d) => {
+        const currentData = getYearRecords(globalState.scene2.currentYear);
+        showTooltipWithYear(anchor, d, findCountryData(d, createYearLookup(currentData)), globalState.scene2.currentYear);
+    };
+    makeFocusable(
+        countryPaths.filter(d => globalState.data.processed.byCountry.has(getFeatureCountryCode(d))),
+        showCurrentYearTooltip,
+        getFeatureCountryCode
+    );
+    makeTappable(countryPaths, showCurrentYearTooltip);
+    labelMapCountries(countryPaths, initialLookup, startYear, colorScales.scene2);
+    
+    // Zoom and pan, keeping the view from Scene 1
+    createMapZoom(svg, mapLayer, path, countries.features, groupTop);
+    updateMapInsights();
+    
+    // Update function for animation (duration 0 repaints at once, e.g. when recording)
+    function updateMapForYear(year, duration = 300) {
+        const yearData = getYearRecords(year);
+        const yearLookup = createYearLookup(yearData);
+        
+        // Bivariate breaks move with the year, and the legend with them
+        if (isBivariateMetric()) {
+            updateScene2YearScale(yearData);
+            svg.select(".bivariate-legend").remove();
+            createLegend2(svg, layout, year);
+        }
+        
+        const fill = d => getMetricFill(colorScales.scene2, findCountryData(d, yearLookup));
+        
+        countryPaths.interrupt();
+        if (duration > 0) {
+            countryPaths.transition().duration(duration).attr("fill", fill);
+        } else {
+            countryPaths.attr("fill", fill);
+        }
         
-        countryPaths
-            .transition()
-            .duration(300)
-            .attr("fill", d => {
-                const countryData = findCountryData(d, dataLookup, nameToCodeMap);
-                if (!countryData) return "#e2e8f0";
-                return colorScales.scene2(countryData.internetPenetration);
-            });
+        updateEstimatedOverlay(estimatedOverlay, yearLookup);
+        labelMapCountries(countryPaths, yearLookup, year, colorScales.scene2);
         
-        // Update year display
-        d3.select("#current-year").text(year);
+        // Update year display, with projected years styled apart
         d3.select("#year-slider").property("value", year);
+        svg.classed("projected-year", isProjectedYear(year));
+        updateProjectionControls();
         
         // Update annotation
         const globalAverage = calculateGlobalAverage(year);
         updateAnnotation2(svg, year, globalAverage);
+        updateRegionBreakdown2(svg, year, duration);
+        announce(`${year}: global average ${globalAverage}% (${getAverageLabel().toLowerCase()})`);
+        
+        updateMapInsights();
+        refreshCountryViews();
     }
     
     // Store the update function globally for controls
     globalState.scene2.updateFunction = updateMapForYear;
     
     // Create legend
-    createLegend2(svg);
+    createLegend2(svg, layout, startYear);
     
     // Initial annotation
-    const initialAverage = calculateGlobalAverage(2000);
-    addAnnotation2(svg, 2000, initialAverage);
+    const initialAverage = calculateGlobalAverage(startYear);
+    addAnnotation2(svg, startYear, initialAverage, layout);
+    addRegionBreakdown2(svg, startYear, layout);
+    
+    // Sync year controls
+    d3.select("#year-slider").property("value", startYear);
+    svg.classed("projected-year", isProjectedYear(startYear));
+    updateProjectionControls();
+    d3.select("#play-pause-btn").text("▶ Play");
     
     console.log("Scene 2 setup complete");
 }
@@ -541,33 +745,40 @@ function showScene2() {
 function showScene3() {
     console.log("Rendering Scene 3: Today's Digital Divide");
     
-    // Get 2024 data
-    const data2024 = globalState.data.processed.byYear.get(2024) || [];
+    const year = globalState.scene3.currentYear;
+    const yearData = globalState.data.processed.byYear.get(year) || [];
     
-    if (data2024.length === 0) {
-        console.warn("No data available for year 2024");
-        showError("No data available for the year 2024");
+    if (yearData.length === 0) {
+        console.warn(`No data available for year ${year}`);
+        showError(`No data available for the year ${year}`);
         return;
     }
     
-    console.log(`Scene 3: Found ${data2024.length} records for 2024`);
+    console.log(`Scene 3: Found ${yearData.length} records for ${year}`);
     
-    // Create SVG
+    // Scales span every year so bubbles move against fixed axes
+    const allData = globalState.data.connectivity;
+    
+    const regions = [...new Set(allData.map(d => d.region))];
+    
+    // Chart, then the region legend and annotation below it (shorter chart on narrow screens)
+    const chartHeight = isNarrowLayout() ? 360 : 480;
     const margin = { top: 20, right: 20, bottom: 80, left: 80 };
     const width = dimensions.width - margin.left - margin.right;
-    const height = 480 - margin.top - margin.bottom;
+    const height = chartHeight - margin.top - margin.bottom;
     
-    const svg = d3.select("#visualization")
-        .append("svg")
-        .attr("width", dimensions.width)
-        .attr("height", dimensions.height);
+    const legendSize = getLegend3Size(regions.length);
+    const layout = layoutLegendGroup(legendSize.width, legendSize.height, chartHeight - 15);
+    
+    // Create SVG
+    const svg = createSceneSvg(layout.bottom + 15);
     
     const chart = svg.append("g")
         .attr("transform", `translate(${margin.left}, ${margin.top})`);
     
     // Set up scales
     const xScale = d3.scaleLog()
-        .domain([Math.max(200, d3.min(data2024, d => d.gdpPerCapita) * 0.9), d3.max(data2024, d => d.gdpPerCapita) * 1.1])
+        .domain([Math.max(200, d3.min(allData, d => d.gdpPerCapita) * 0.9), d3.max(allData, d => d.gdpPerCapita) * 1.1])
         .range([0, width])
         .clamp(true);
     
@@ -577,28 +788,29 @@ function showScene3() {
     
     // Size scale for population (bubble size)
     const sizeScale = d3.scaleSqrt()
-        .domain([0, d3.max(data2024, d => d.population)])
+        .domain([0, d3.max(allData, d => d.population)])
         .range([4, 20]); // Made minimum size larger and max smaller for better visibility
     
     // Color scale for regions
-    const regions = [...new Set(data2024.map(d => d.region))];
-    const colorScale = d3.scaleOrdinal(d3.schemeCategory10)
+    const colorScale = colorScales.scene3.copy()
         .domain(regions);
     
     //! Debug the scale setup
-    // console.log("GDP range:", d3.extent(data2024, d => d.gdpPerCapita));
-    // console.log("Internet range:", d3.extent(data2024, d => d.internetPenetration));
-    // console.log("Population range:", d3.extent(data2024, d => d.population));
+    // console.log("GDP range:", d3.extent(allData, d => d.gdpPerCapita));
+    // console.log("Internet range:", d3.extent(allData, d => d.internetPenetration));
+    // console.log("Population range:", d3.extent(allData, d => d.population));
     // console.log("Regions:", regions);
     
     // Store scales globally for updates
     globalState.scene3.scales = { xScale, yScale, sizeScale, colorScale };
     globalState.scene3.chartGroup = chart;
-    globalState.scene3.data2024 = data2024;
+    globalState.scene3.yearData = yearData;
     
     // Create axes with thousands notation formatting
     const xAxis = d3.axisBottom(xScale)
-        .tickValues([200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000])
+        .tickValues(isNarrowLayout()
+            ? [500, 2000, 10000, 50000]
+            : [200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000])
         .tickFormat(d => {
             if (d === 200) return "0.2";
             if (d === 500) return "0.5";
@@ -628,6 +840,10 @@ function showScene3() {
         .attr("class", "y-axis")
         .call(yAxis);
     
+    // Trails sit beneath the bubbles
+    chart.append("g")
+        .attr("class", "trails");
+    
     // Add axis labels
     chart.append("text")
         .attr("class", "axis-label")
@@ -644,10 +860,15 @@ function showScene3() {
         .text("Internet Penetration (%)");
     
     // Create legend
-    createLegend3(svg, regions, colorScale);
+    createLegend3(svg, regions, colorScale, layout);
     
     // Add annotation
-    addAnnotation3(svg);
+    addAnnotation3(svg, layout);
+    
+    // Sync year controls
+    d3.select("#scene3-current-year").text(year);
+    d3.select("#scene3-year-slider").property("value", year);
+    d3.select("#scene3-play-btn").text("▶ Play");
     
     // Ensure DOM is ready before creating circles
     setTimeout(() => {
@@ -665,13 +886,11 @@ function updateScatterplot() {
     
     const { xScale, yScale, sizeScale, colorScale } = globalState.scene3.scales;
     const chart = globalState.scene3.chartGroup;
-    const data2024 = globalState.scene3.data2024;
+    const yearData = globalState.scene3.yearData;
+    const duration = Math.min(500, globalState.scene3.animationSpeed);
     
     // Filter data based on selected region
-    let filteredData = data2024;
-    if (globalState.scene3.selectedRegion !== "all") {
-        filteredData = data2024.filter(d => d.region === globalState.scene3.selectedRegion);
-    }
+    const filteredData = filterScene3Data(yearData);
     
     console.log(`Scene 3 Update: Showing ${filteredData.length} countries`);
     
@@ -705,114 +924,105 @@ function updateScatterplot() {
         .on("mouseout", function(event, d) {
             hideTooltip();
             d3.select(this).attr("stroke-width", 1);
-        });
+        })
+        .on("click", (event, d) => handleCountryClick(d.countryCode));
+    
+    makeFocusable(newCircles, showScatterplotTooltip, d => d.countryCode);
     
     // Update all circles (existing + new)
     newCircles.merge(circles)
         .transition()
-        .duration(500)
+        .duration(duration)
+        .ease(d3.easeLinear)
         .attr("cx", d => xScale(d.gdpPerCapita))
         .attr("cy", d => yScale(d.internetPenetration))
         .attr("r", d => sizeScale(d.population))
         .attr("fill", d => colorScale(d.region))
         .attr("opacity", 0.7);
     
+    // Estimated positions are drawn as hollow bubbles
+    newCircles.merge(circles)
+        .classed("estimated", d => d.estimated === true)
+        .style("color", d => colorScale(d.region))
+        .attr("aria-label", d => `${d.country}: ${d.internetPenetration.toFixed(1)}% online, GDP per capita $${Math.round(d.gdpPerCapita).toLocaleString()} in ${globalState.scene3.currentYear}${d.estimated ? " (estimated)" : ""}`);
+    
+    highlightCountries();
+    
+    // Update trails behind the bubbles
+    updateTrails(filteredData);
+    
+    // Update annotation year
+    d3.select("#visualization .scene3-annotation-title")
+        .text(`Digital Divide ${globalState.scene3.currentYear}`);
+    
     console.log("Scatterplot updated");
     
     // Update trend line
     updateTrendLine(filteredData);
+    
+    // Call out the notable countries shown
+    updateScatterplotInsights(filteredData);
 }
 
 /**
- * Update trend line
+ * Records of the year shown in Scene 3, limited to the selected region
  */
-function updateTrendLine(data) {
-    const chart = globalState.scene3.chartGroup;
-    const { xScale, yScale } = globalState.scene3.scales;
-    
-    // Remove existing trend line
-    chart.select(".trend-line").remove();
-    
-    if (!globalState.scene3.showTrendline || data.length < 3) {
-        return;
+function filterScene3Data(yearData) {
+    if (globalState.scene3.selectedRegion === "all") {
+        return yearData;
     }
-    
-    // Calculate linear regression
-    const regression = calculateLinearRegression(data);
-    if (!regression) return;
-    
-    // Create trend line points
-    const xMin = d3.min(data, d => d.gdpPerCapita);
-    const xMax = d3.max(data, d => d.gdpPerCapita);
-    
-    const trendData = [
-        { x: xMin, y: regression.slope * Math.log10(xMin) + regression.intercept },
-        { x: xMax, y: regression.slope * Math.log10(xMax) + regression.intercept }
-    ];
-    
-    // Clamp y values to visible range
-    trendData.forEach(d => {
-        d.y = Math.max(0, Math.min(100, d.y));
-    });
-    
-    // Create line generator
-    const line = d3.line()
-        .x(d => xScale(d.x))
-        .y(d => yScale(d.y));
-    
-    // Add trend line
-    chart.append("path")
-        .datum(trendData)
-        .attr("class", "trend-line")
-        .attr("d", line)
-        .style("stroke", "#e53e3e")
-        .style("stroke-width", 3)
-        .style("stroke-dasharray", "8,4")
-        .style("fill", "none")
-        .style("opacity", 0.8);
+    return yearData.filter(d => d.region === globalState.scene3.selectedRegion);
 }
 
 /**
- * Calculate linear regression for log-scale GDP
+ * Draw fading trails of each country's earlier positions
  */
-function calculateLinearRegression(data) {
-    if (data.length < 3) return null;
-    
-    const n = data.length;
-    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
-    
-    data.forEach(d => {
-        const x = Math.log10(d.gdpPerCapita); // Log transform for x
-        const y = d.internetPenetration;
-        sumX += x;
-        sumY += y;
-        sumXY += x * y;
-        sumXX += x * x;
-    });
+function updateTrails(data) {
+    const chart = globalState.scene3.chartGroup;
+    const { xScale, yScale, colorScale } = globalState.scene3.scales;
+    const currentYear = globalState.scene3.currentYear;
+    const trailLength = 10; // Years of history shown
+    
+    let trailData = [];
+    if (globalState.scene3.showTrails) {
+        const codes = new Set(data.map(d => d.countryCode));
+        trailData = globalState.data.connectivity.filter(d =>
+            codes.has(d.countryCode) && d.year < currentYear && d.year >= currentYear - trailLength);
+    }
     
-    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
+    const trails = chart.select(".trails")
+        .selectAll(".trail-dot")
+        .data(trailData, d => `${d.countryCode}-${d.year}`);
     
-    return { slope, intercept };
+    trails.exit().remove();
+    
+    trails.enter()
+        .append("circle")
+        .attr("class", "trail-dot")
+        .attr("r", 2.5)
+        .attr("cx", d => xScale(d.gdpPerCapita))
+        .attr("cy", d => yScale(d.internetPenetration))
+        .attr("fill", d => colorScale(d.region))
+        .merge(trails)
+        .attr("opacity", d => 0.5 * (1 - (currentYear - d.year - 1) / trailLength));
 }
 
 /**
- * Create legend for Scene 1
+ * Create legend for Scene 1 in the box placed by layoutLegendGroup
  */
-function createLegend1(svg) {
-    const legendWidth = 300;
-    const legendHeight = 20;
+function createLegend1(svg, layout) {
+    if (isBivariateMetric()) {
+        createBivariateLegend(svg, layout, colorScales.scene1, `${metricDefinitions.bivariate.label} (${globalState.scene1.year})`);
+        return;
+    }
     
-    // Calculate centered positioning for legend + annotation group
-    const totalGroupWidth = 300 + 40 + 260; // legend + gap + annotation
-    const groupStartX = (dimensions.width - totalGroupWidth) / 2;
-    const legendX = groupStartX;
-    const legendY = 520;
+    const legendWidth = getMapLegendWidth();
+    const legendHeight = 20;
     
-    // Create legend group
+    // Create legend group (its background box starts 15px left of and 35px above the ramp)
     const legend = svg.append("g")
         .attr("class", "legend")
-        .attr("transform", `translate(${legendX}, ${legendY})`);
+        .attr("transform", `translate(${layout.legendX + 15}, ${layout.legendY + 35})`);
     
     // Legend background
     legend.append("rect")
@@ -830,13 +1040,15 @@ function createLegend1(svg) {
         .append("linearGradient")
         .attr("id", "legend-gradient");
     
+    const metric = metricDefinitions[globalState.selectedMetric];
+    const [domainMin, domainMax] = colorScales.scene1.domain();
+    
     const steps = 10;
     for (let i = 0; i <= steps; i++) {
         const percent = i / steps * 100;
-        const value = i / steps * 60; // 0-60% range
         gradient.append("stop")
             .attr("offset", `${percent}%`)
-            .attr("stop-color", colorScales.scene1(value));
+            .attr("stop-color", colorScales.scene1.interpolator()(i / steps));
     }
     
     // Legend title
@@ -846,7 +1058,7 @@ function createLegend1(svg) {
         .attr("text-anchor", "middle")
         .style("font-size", "12px")
         .style("font-weight", "bold")
-        .text("Internet Penetration (2000)");
+        .text(`${metric.label} (${globalState.scene1.year})`);
     
     // Legend rectangle
     legend.append("rect")
@@ -861,36 +1073,39 @@ function createLegend1(svg) {
         .attr("x", 5)
         .attr("y", 30)
         .style("font-size", "12px")
-        .text("0%");
+        .text(metric.format(domainMin));
     
     legend.append("text")
         .attr("x", legendWidth - 5)
         .attr("y", 30)
         .attr("text-anchor", "end")
         .style("font-size", "12px")
-        .text("60%");
+        .text(metric.format(domainMax));
         
-    // Store the annotation X position for use in the annotation function
-    globalState.scene1.annotationX = groupStartX + 300 + 40; // legend width + gap
+    if (globalState.data.processed.estimatedCount > 0) {
+        addNoDataKey(legend, legendWidth / 2 - 40, 30);
+        addEstimatedKey(legend, legendWidth / 2 + 40, 30);
+    } else {
+        addNoDataKey(legend, legendWidth / 2, 30);
+    }
 }
 
 /**
- * Create legend for Scene 2
+ * Create legend for Scene 2 in the box placed by layoutLegendGroup (a bivariate legend shows the breaks of `year`)
  */
-function createLegend2(svg) {
-    const legendWidth = 300;
-    const legendHeight = 20;
+function createLegend2(svg, layout, year) {
+    if (isBivariateMetric()) {
+        createBivariateLegend(svg, layout, colorScales.scene2, `${metricDefinitions.bivariate.label} (${year})`);
+        return;
+    }
     
-    // Calculate centered positioning for legend + annotation group
-    const totalGroupWidth = 300 + 40 + 260; // legend + gap + annotation
-    const groupStartX = (dimensions.width - totalGroupWidth) / 2;
-    const legendX = groupStartX;
-    const legendY = 520;
+    const legendWidth = getMapLegendWidth();
+    const legendHeight = 20;
     
-    // Create legend group
+    // Create legend group (its background box starts 15px left of and 35px above the ramp)
     const legend = svg.append("g")
         .attr("class", "legend")
-        .attr("transform", `translate(${legendX}, ${legendY})`);
+        .attr("transform", `translate(${layout.legendX + 15}, ${layout.legendY + 35})`);
     
     // Legend background
     legend.append("rect")
@@ -908,13 +1123,15 @@ function createLegend2(svg) {
         .append("linearGradient")
         .attr("id", "legend-gradient-2");
     
+    const metric = metricDefinitions[globalState.selectedMetric];
+    const [domainMin, domainMax] = colorScales.scene2.domain();
+    
     const steps = 10;
     for (let i = 0; i <= steps; i++) {
         const percent = i / steps * 100;
-        const value = i / steps * 100; // 0-100% range
         gradient.append("stop")
             .attr("offset", `${percent}%`)
-            .attr("stop-color", colorScales.scene2(value));
+            .attr("stop-color", colorScales.scene2.interpolator()(i / steps));
     }
     
     // Legend title
@@ -924,7 +1141,7 @@ function createLegend2(svg) {
         .attr("text-anchor", "middle")
         .style("font-size", "12px")
         .style("font-weight", "bold")
-        .text("Internet Penetration (%)");
+        .text(metric.label);
     
     // Legend rectangle
     legend.append("rect")
@@ -939,44 +1156,57 @@ function createLegend2(svg) {
         .attr("x", 5)
         .attr("y", 30)
         .style("font-size", "12px")
-        .text("0%");
+        .text(metric.format(domainMin));
     
     legend.append("text")
         .attr("x", legendWidth - 5)
         .attr("y", 30)
         .attr("text-anchor", "end")
         .style("font-size", "12px")
-        .text("100%");
+        .text(metric.format(domainMax));
         
-    // Store the annotation X position for use in the annotation function
-    globalState.scene2.annotationX = groupStartX + 300 + 40; // legend width + gap
+    if (globalState.data.processed.estimatedCount > 0) {
+        addNoDataKey(legend, legendWidth / 2 - 40, 30);
+        addEstimatedKey(legend, legendWidth / 2 + 40, 30);
+    } else {
+        addNoDataKey(legend, legendWidth / 2, 30);
+    }
 }
 
 /**
- * Create legend for Scene 3
+ * Grid and box size of the Scene 3 region legend (two columns on narrow screens)
  */
-function createLegend3(svg, regions, colorScale) {
+function getLegend3Size(regionCount) {
     const itemWidth = 120;
-    const itemsPerRow = 3;
-    const rows = Math.ceil(regions.length / itemsPerRow);
-    const legendWidth = itemsPerRow * itemWidth; // 360px
-    
-    // Calculate centered positioning for legend + annotation group
-    const totalGroupWidth = legendWidth + 40 + 260; // 360 + 40 + 260 = 660px
-    const groupStartX = (dimensions.width - totalGroupWidth) / 2; // (960-660)/2 = 150px
-    const legendX = groupStartX;
-    const legendY = 495;
+    const itemsPerRow = isNarrowLayout() ? 2 : 3;
+    const rows = Math.ceil(regionCount / itemsPerRow);
+    
+    return {
+        itemWidth,
+        itemsPerRow,
+        width: itemsPerRow * itemWidth + 20, // 380px with three columns
+        height: rows * 22 + 35 // 3*22+35 = 101px
+    };
+}
+
+/**
+ * Create legend for Scene 3 in the box placed by layoutLegendGroup
+ */
+function createLegend3(svg, regions, colorScale, layout) {
+    const { itemWidth, itemsPerRow, width, height } = getLegend3Size(regions.length);
+    const legendWidth = itemsPerRow * itemWidth;
     
+    // Background box starts 10px left of and 30px above the items
     const legend = svg.append("g")
         .attr("class", "scene3-legend")
-        .attr("transform", `translate(${legendX}, ${legendY})`);
+        .attr("transform", `translate(${layout.legendX + 10}, ${layout.legendY + 30})`);
     
     // Legend background
     legend.append("rect")
         .attr("x", -10)
         .attr("y", -30)
-        .attr("width", legendWidth + 20) // 380px 
-        .attr("height", rows * 22 + 35) // 3*22+35 = 101px
+        .attr("width", width)
+        .attr("height", height)
         .attr("rx", 6)
         .style("fill", "rgba(255, 255, 255, 0.95)")
         .style("stroke", "#333")
@@ -1022,143 +1252,53 @@ function createLegend3(svg, regions, colorScale) {
             }
             return d;
         });
-        
-    // Store the annotation X position for use in the annotation function
-    globalState.scene3.annotationX = groupStartX + legendWidth + 40; // 150 + 360 + 40 = 550
 }
 
 /**
- * Helper function to get alternative country codes/names
+ * Calculate global average internet penetration for a year
+ * Population-weighted by default, so the figure is the share of people online
  */
-function getCountryAlternatives(code, name) {
-    const alternatives = [];
-    
-    // Common alternative mappings
-    const mappings = {
-        'USA': ['US', '840', 'united states', 'america'],
-        'GBR': ['GB', '826', 'uk', 'britain', 'england'],
-        'DEU': ['DE', '276', 'deutschland'],
-        'FRA': ['FR', '250'],
-        'CHN': ['CN', '156'],
-        'IND': ['IN', '356'],
-        'BRA': ['BR', '076'],
-        'RUS': ['RU', '643', 'russian federation'],
-        'JPN': ['JP', '392'],
-        'CAN': ['CA', '124'],
-        'AUS': ['AU', '036'],
-        'KOR': ['KR', '410', 'south korea'],
-        'MEX': ['MX', '484'],
-        'TUR': ['TR', '792'],
-        'ZAF': ['ZA', '710', 'south africa']
-    };
-    
-    if (mappings[code]) {
-        alternatives.push(...mappings[code]);
-    }
-    
-    return alternatives;
+function calculateGlobalAverage(year, weighted = globalState.scene2.weightedAverage) {
+    const yearData = getYearRecords(year);
+    return calculateAveragePenetration(yearData, weighted);
 }
 
 /**
- * Convert numeric country ID to ISO code (for Natural Earth data)
+ * Average internet penetration per region for a year
  */
-function numericToISO(numericId) {
-    const mapping = {
-        // Major countries from our dataset
-        '840': 'USA', '276': 'DEU', '392': 'JPN', '826': 'GBR', '250': 'FRA',
-        '124': 'CAN', '036': 'AUS', '410': 'KOR', '752': 'SWE', '578': 'NOR',
-        '156': 'CHN', '356': 'IND', '076': 'BRA', '643': 'RUS', '484': 'MEX',
-        '360': 'IDN', '792': 'TUR', '710': 'ZAF', '764': 'THA', '458': 'MYS',
-        '566': 'NGA', '050': 'BGD', '586': 'PAK', '231': 'ETH', '404': 'KEN',
-        '288': 'GHA', '800': 'UGA', '834': 'TZA', '686': 'SEN', '116': 'KHM',
-        '032': 'ARG', '152': 'CHL', '616': 'POL', '203': 'CZE', '348': 'HUN',
-        '620': 'PRT', '300': 'GRC', '191': 'HRV', '233': 'EST', '440': 'LTU',
-        '682': 'SAU', '784': 'ARE', '414': 'KWT', '634': 'QAT', '048': 'BHR',
-        '702': 'SGP', '554': 'NZL', '352': 'ISL', '470': 'MLT', '196': 'CYP',
-        
-        // Additional mappings that might appear
-        '724': 'ESP', // Spain
-        '380': 'ITA', // Italy
-        '528': 'NLD', // Netherlands  
-        '056': 'BEL', // Belgium
-        '040': 'AUT', // Austria
-        '756': 'CHE', // Switzerland
-        '208': 'DNK', // Denmark
-        '246': 'FIN', // Finland
-        '372': 'IRL', // Ireland
-        '442': 'LUX', // Luxembourg
-        '620': 'PRT', // Portugal
-        '705': 'SVN', // Slovenia
-        '703': 'SVK', // Slovakia
-        '100': 'BGR', // Bulgaria
-        '642': 'ROU', // Romania
-        '804': 'UKR', // Ukraine
-        '112': 'BLR', // Belarus
-        '428': 'LVA', // Latvia
-        '070': 'BIH', // Bosnia
-        '688': 'SRB', // Serbia
-        '807': 'MKD', // North Macedonia
-        '499': 'MNE', // Montenegro
-        '008': 'ALB'  // Albania
-    };
-    
-    return mapping[String(numericId)] || null;
+function calculateRegionalAverages(year, weighted = globalState.scene2.weightedAverage) {
+    const yearData = getYearRecords(year);
+    
+    return d3.groups(yearData, d => d.region)
+        .map(([region, records]) => ({
+            region,
+            average: calculateAveragePenetration(records, weighted)
+        }))
+        .sort((a, b) => b.average - a.average);
 }
 
 /**
- * Fuzzy name matching for countries
+ * Mean penetration of a set of records, optionally weighted by population
  */
-function fuzzyNameMatch(geoName, nameMap) {
-    if (!geoName) return null;  // Handle null/undefined names
+function calculateAveragePenetration(records, weighted) {
+    if (records.length === 0) return 0;
     
-    const lowerGeoName = geoName.toLowerCase();
-    
-    // Try exact match first
-    if (nameMap.has(lowerGeoName)) {
-        return nameMap.get(lowerGeoName);
-    }
-    
-    // Try partial matches
-    for (let [name, data] of nameMap) {
-        if (name.includes(lowerGeoName) || lowerGeoName.includes(name)) {
-            return data;
-        }
-    }
-    
-    // Handle specific cases
-    const specialCases = {
-        'united states of america': 'united states',
-        'russian federation': 'russia', 
-        'united kingdom': 'united kingdom',
-        'korea': 'south korea',
-        'czech republic': 'czech republic',
-        'great britain': 'united kingdom',
-        'britain': 'united kingdom',
-        'england': 'united kingdom',
-        'usa': 'united states',
-        'america': 'united states',
-        'deutschland': 'germany',
-        'south korea': 'south korea',
-        'republic of korea': 'south korea'
-    };
-    
-    const specialMatch = specialCases[lowerGeoName];
-    if (specialMatch && nameMap.has(specialMatch)) {
-        return nameMap.get(specialMatch);
+    let average;
+    if (weighted) {
+        const totalPopulation = d3.sum(records, d => d.population);
+        average = d3.sum(records, d => d.internetPenetration * d.population) / totalPopulation;
+    } else {
+        average = d3.mean(records, d => d.internetPenetration);
     }
     
-    return null;
+    return Math.round(average * 10) / 10; // Round to 1 decimal
 }
 
 /**
- * Calculate global average internet penetration for a year
+ * Label for the averaging method shown in Scene 2
  */
-function calculateGlobalAverage(year) {
-    const yearData = globalState.data.processed.byYear.get(year) || [];
-    if (yearData.length === 0) return 0;
-    
-    const sum = yearData.reduce((acc, d) => acc + d.internetPenetration, 0);
-    return Math.round((sum / yearData.length) * 10) / 10; // Round to 1 decimal
+function getAverageLabel() {
+    return globalState.scene2.weightedAverage ? "Population-weighted" : "Unweighted (each country equal)";
 }
 
 /**
@@ -1221,18 +1361,19 @@ function addAnnotation(svg, title, text, x, y) {
 /**
  * Add initial annotation for Scene 2
  */
-function addAnnotation2(svg, year, globalAverage) {
+function addAnnotation2(svg, year, globalAverage, layout) {
     const annotation = svg.append("g")
         .attr("class", "scene2-annotation")
-        .attr("transform", `translate(${globalState.scene2.annotationX}, 485)`); // Using calculated position
+        .attr("transform", `translate(${layout.annotationX}, ${layout.annotationY})`);
     
-    // Background
+    // Background (dashed and purple for projected years)
     annotation.append("rect")
         .attr("width", 260)
         .attr("height", 75)
         .attr("rx", 8)
         .style("fill", "rgba(255, 255, 255, 0.95)")
-        .style("stroke", "#333")
+        .style("stroke", isProjectedYear(year) ? "#6b46c1" : "#333")
+        .style("stroke-dasharray", isProjectedYear(year) ? "6,3" : null)
         .style("stroke-width", 2);
     
     // Title
@@ -1243,47 +1384,136 @@ function addAnnotation2(svg, year, globalAverage) {
         .style("font-size", "14px")
         .style("font-weight", "bold")
         .style("fill", "#2d3748")
-        .text(`${year}: Internet Revolution`);
+        .text(isProjectedYear(year) ? `${year}: Projection` : `${year}: Internet Revolution`);
     
     // Stats
     annotation.append("text")
-        .attr("class", "annotation-year")
+        .attr("class", "annotation-average")
         .attr("x", 15)
         .attr("y", 45)
         .style("font-size", "12px")
         .style("fill", "#4a5568")
-        .text(`Year: ${year}`);
+        .text(`Global Average: ${globalAverage}%`);
         
     annotation.append("text")
-        .attr("class", "annotation-average")
+        .attr("class", "annotation-weighting")
         .attr("x", 15)
         .attr("y", 60)
-        .style("font-size", "12px")
-        .style("fill", "#4a5568")
-        .text(`Global Average: ${globalAverage}%`);
+        .style("font-size", "11px")
+        .style("fill", "#666")
+        .text(getAverageLabel());
 }
 
 /**
  * Update annotation for Scene 2
  */
 function updateAnnotation2(svg, year, globalAverage) {
-    svg.select(".annotation-title")
-        .text(`${year}: Internet Revolution`);
+    svg.select(".scene2-annotation rect")
+        .style("stroke", isProjectedYear(year) ? "#6b46c1" : "#333")
+        .style("stroke-dasharray", isProjectedYear(year) ? "6,3" : null);
     
-    svg.select(".annotation-year")
-        .text(`Year: ${year}`);
+    svg.select(".annotation-title")
+        .text(isProjectedYear(year) ? `${year}: Projection` : `${year}: Internet Revolution`);
     
     svg.select(".annotation-average")
         .text(`Global Average: ${globalAverage}%`);
+    
+    svg.select(".annotation-weighting")
+        .text(getAverageLabel());
+}
+
+/**
+ * Add per-region average bars for Scene 2
+ */
+function addRegionBreakdown2(svg, year, layout) {
+    const regionCount = globalState.data.processed.regions.length;
+    
+    const breakdown = svg.append("g")
+        .attr("class", "scene2-regions")
+        .attr("transform", `translate(${layout.breakdownX}, ${layout.breakdownY})`);
+    
+    // Background
+    breakdown.append("rect")
+        .attr("width", 230)
+        .attr("height", 35 + regionCount * 17)
+        .attr("rx", 8)
+        .style("fill", "rgba(255, 255, 255, 0.95)")
+        .style("stroke", "#333")
+        .style("stroke-width", 1);
+    
+    // Title
+    breakdown.append("text")
+        .attr("x", 10)
+        .attr("y", 20)
+        .style("font-size", "12px")
+        .style("font-weight", "bold")
+        .style("fill", "#2d3748")
+        .text("Regional Averages");
+    
+    breakdown.append("g")
+        .attr("class", "region-rows")
+        .attr("transform", "translate(10, 32)");
+    
+    updateRegionBreakdown2(svg, year);
+}
+
+/**
+ * Update per-region average bars for Scene 2
+ */
+function updateRegionBreakdown2(svg, year, duration = 300) {
+    const barScale = d3.scaleLinear().domain([0, 100]).range([0, 55]);
+    const animate = selection => (duration > 0 ? selection.transition().duration(duration) : selection.interrupt());
+    
+    const rows = svg.select(".region-rows")
+        .selectAll(".region-row")
+        .data(calculateRegionalAverages(year), d => d.region);
+    
+    const newRows = rows.enter()
+        .append("g")
+        .attr("class", "region-row");
+    
+    newRows.append("text")
+        .attr("class", "region-name")
+        .attr("y", 10)
+        .style("font-size", "10px")
+        .style("fill", "#4a5568")
+        .text(d => d.region.length > 20 ? d.region.substring(0, 19) + "..." : d.region);
+    
+    newRows.append("rect")
+        .attr("class", "region-bar")
+        .attr("x", 130)
+        .attr("y", 2)
+        .attr("height", 9)
+        .style("fill", colorScales.bars);
+    
+    newRows.append("text")
+        .attr("class", "region-value")
+        .attr("x", 210)
+        .attr("y", 10)
+        .attr("text-anchor", "end")
+        .style("font-size", "10px")
+        .style("fill", "#2d3748");
+    
+    const allRows = newRows.merge(rows);
+    
+    // Rows re-sort as regions overtake each other
+    animate(allRows)
+        .attr("transform", (d, i) => `translate(0, ${i * 17})`);
+    
+    animate(allRows.select(".region-bar"))
+        .attr("width", d => barScale(d.average));
+    
+    allRows.select(".region-value")
+        .text(d => `${Math.round(d.average)}%`);
 }
 
 /**
  * Add annotation for Scene 3
  */
-function addAnnotation3(svg) {
+function addAnnotation3(svg, layout) {
     const annotation = svg.append("g")
         .attr("class", "scene3-annotation")
-        .attr("transform", `translate(${globalState.scene3.annotationX}, 465)`);
+        .attr("transform", `translate(${layout.annotationX}, ${layout.annotationY})`);
     
     // Background
     annotation.append("rect")
@@ -1301,7 +1531,8 @@ function addAnnotation3(svg) {
         .style("font-size", "14px")
         .style("font-weight", "bold")
         .style("fill", "#2d3748")
-        .text("Digital Divide 2024");
+        .attr("class", "scene3-annotation-title")
+        .text(`Digital Divide ${globalState.scene3.currentYear}`);
     
     // Description
     annotation.append("text")
@@ -1342,8 +1573,8 @@ function showTooltip(event, geoData, countryData) {
     } else {
         d3.select("#tooltip-title").text(countryData.country);
         d3.select("#tooltip-text").html(`
-            Internet Users: <strong>${countryData.internetPenetration.toFixed(1)}%</strong><br>
-            GDP per capita: <strong>$${countryData.gdpPerCapita.toLocaleString()}</strong><br>
+            ${formatEstimatedNote(countryData)}
+            ${formatMetricRows(countryData)}
             Region: <strong>${countryData.region}</strong>
         `);
     }
@@ -1370,9 +1601,10 @@ function showTooltipWithYear(event, geoData, countryData, year) {
     } else {
         d3.select("#tooltip-title").text(countryData.country);
         d3.select("#tooltip-text").html(`
-            <strong>${year} Data:</strong><br>
-            Internet Users: <strong>${countryData.internetPenetration.toFixed(1)}%</strong><br>
-            GDP per capita: <strong>$${countryData.gdpPerCapita.toLocaleString()}</strong><br>
+            <strong>${year} Data${countryData.estimated ? " (estimated)" : ""}${countryData.projected ? " (projected)" : ""}:</strong><br>
+            ${formatEstimatedNote(countryData)}
+            ${formatProjectedNote(countryData)}
+            ${formatMetricRows(countryData)}
             Region: <strong>${countryData.region}</strong>
         `);
     }
@@ -1391,11 +1623,13 @@ function showScatterplotTooltip(event, countryData) {
     
     d3.select("#tooltip-title").text(countryData.country);
     d3.select("#tooltip-text").html(`
-        <strong>2024 Statistics:</strong><br>
+        <strong>${globalState.scene3.currentYear} Statistics${countryData.estimated ? " (estimated)" : ""}:</strong><br>
+        ${formatEstimatedNote(countryData)}
         Internet Users: <strong>${countryData.internetPenetration.toFixed(1)}%</strong><br>
         GDP per capita: <strong>$${countryData.gdpPerCapita.toLocaleString()}</strong><br>
         Population: <strong>${(countryData.population / 1000000).toFixed(1)}M</strong><br>
-        Region: <strong>${countryData.region}</strong>
+        Region: <strong>${countryData.region}</strong><br>
+        ${formatTrendResidual(countryData)}
     `);
     
     tooltip
@@ -1432,9 +1666,14 @@ function toggleAnimation() {
 }
 
 function startAnimation() {
+    // Play through the data and on into any projected years
+    const years = getScene2Years();
+    const firstYear = years[0];
+    const lastYear = years[years.length - 1];
+    
     // If already at the end, reset to beginning
-    if (globalState.scene2.currentYear >= 2024) {
-        globalState.scene2.currentYear = 2000;
+    if (globalState.scene2.currentYear >= lastYear) {
+        globalState.scene2.currentYear = firstYear;
     }
     
     globalState.scene2.animationTimer = d3.interval(() => {
@@ -1449,9 +1688,10 @@ function startAnimation() {
         if (globalState.scene2.updateFunction) {
             globalState.scene2.updateFunction(globalState.scene2.currentYear);
         }
+        writeUrlState("replace");
         
         // Check if we've reached the end
-        if (globalState.scene2.currentYear >= 2024) {
+        if (globalState.scene2.currentYear >= lastYear) {
             globalState.scene2.isAnimating = false;
             d3.select("#play-pause-btn").text("▶ Play");
             globalState.scene2.animationTimer.stop();
@@ -1468,19 +1708,21 @@ function resetAnimation() {
         globalState.scene2.animationTimer.stop();
     }
     
-    // Reset to 2000
-    globalState.scene2.currentYear = 2000;
+    // Reset to the first year
+    const firstYear = globalState.data.processed.years[0];
+    globalState.scene2.currentYear = firstYear;
     
     // Update UI
     d3.select("#play-pause-btn").text("▶ Play");
     
     // Update the map
     if (globalState.scene2.updateFunction) {
-        globalState.scene2.updateFunction(2000);
+        globalState.scene2.updateFunction(firstYear);
     }
+    writeUrlState();
 }
 
-function updateYear(year) {
+function updateYear(year, historyMode = "push") {
     if (globalState.currentScene !== 2) return;
     
     // Stop animation when user manually changes year
@@ -1499,6 +1741,10 @@ function updateYear(year) {
     if (globalState.scene2.updateFunction) {
         globalState.scene2.updateFunction(year);
     }
+    
+    if (historyMode !== "none") {
+        writeUrlState(historyMode);
+    }
 }
 
 function updateScene3() {
@@ -1506,6 +1752,168 @@ function updateScene3() {
     updateScatterplot();
 }
 
+/**
+ * Animation controls for Scene 3
+ */
+function toggleScatterplotAnimation() {
+    if (globalState.currentScene !== 3) return;
+    
+    globalState.scene3.isAnimating = !globalState.scene3.isAnimating;
+    const button = d3.select("#scene3-play-btn");
+    
+    if (globalState.scene3.isAnimating) {
+        button.text("⏸ Pause");
+        startScatterplotAnimation();
+    } else {
+        button.text("▶ Play");
+        if (globalState.scene3.animationTimer) {
+            globalState.scene3.animationTimer.stop();
+        }
+    }
+}
+
+function startScatterplotAnimation() {
+    const years = globalState.data.processed.years;
+    const firstYear = years[0];
+    const lastYear = years[years.length - 1];
+    
+    // If already at the end, restart from the beginning
+    if (globalState.scene3.currentYear >= lastYear) {
+        setScatterplotYear(firstYear);
+    }
+    
+    globalState.scene3.animationTimer = d3.interval(() => {
+        if (!globalState.scene3.isAnimating) {
+            globalState.scene3.animationTimer.stop();
+            return;
+        }
+        
+        setScatterplotYear(globalState.scene3.currentYear + 1);
+        writeUrlState("replace");
+        
+        if (globalState.scene3.currentYear >= lastYear) {
+            globalState.scene3.isAnimating = false;
+            d3.select("#scene3-play-btn").text("▶ Play");
+            globalState.scene3.animationTimer.stop();
+        }
+    }, globalState.scene3.animationSpeed);
+}
+
+/**
+ * Move the scatterplot to a year
+ */
+function setScatterplotYear(year) {
+    globalState.scene3.currentYear = year;
+    globalState.scene3.yearData = globalState.data.processed.byYear.get(year) || [];
+    
+    d3.select("#scene3-current-year").text(year);
+    d3.select("#scene3-year-slider").property("value", year);
+    
+    updateScatterplot();
+    refreshCountryViews();
+    announce(`${year}: ${filterScene3Data(globalState.scene3.yearData).length} countries shown`);
+}
+
+function updateScene3Year(year, historyMode = "push") {
+    if (globalState.currentScene !== 3) return;
+    
+    // Stop animation when user manually changes year
+    stopScatterplotAnimation();
+    setScatterplotYear(year);
+    
+    if (historyMode !== "none") {
+        writeUrlState(historyMode);
+    }
+}
+
+function stopScatterplotAnimation() {
+    globalState.scene3.isAnimating = false;
+    if (globalState.scene3.animationTimer) {
+        globalState.scene3.animationTimer.stop();
+    }
+    d3.select("#scene3-play-btn").text("▶ Play");
+}
+
+/**
+ * Switch the metric the maps are colored by
+ */
+function setMetric(metricKey) {
+    if (!metricDefinitions[metricKey]) return;
+    
+    globalState.selectedMetric = metricKey;
+    d3.selectAll(".metric-select").property("value", metricKey);
+    updateMetricScales();
+    
+    // Redraw the map and its legend
+    if (globalState.currentScene === 1 || globalState.currentScene === 2) {
+        showScene(globalState.currentScene, { history: "none" });
+    }
+}
+
+/**
+ * Clicking a country compares it in comparison mode, otherwise opens its detail panel
+ */
+function handleCountryClick(countryCode) {
+    if (!countryCode) return;
+    
+    if (globalState.comparison.active) {
+        toggleComparedCountry(countryCode);
+    } else {
+        selectCountry(countryCode);
+    }
+}
+
+/**
+ * Toggle the selected country, open its detail panel and record it in the URL
+ */
+function selectCountry(countryCode) {
+    if (!countryCode) return;
+    
+    globalState.selectedCountry = globalState.selectedCountry === countryCode ? null : countryCode;
+    highlightCountries();
+    updateCountryPanel();
+    writeUrlState();
+}
+
+/**
+ * Outline the selected, compared and story countries on the maps, scatterplot and rank chart
+ */
+function highlightCountries() {
+    const selected = globalState.selectedCountry;
+    const compared = globalState.comparison.active ? globalState.comparison.countries : [];
+    const isCompared = code => compared.includes(code);
+    const storyCountries = getStoryCountries();
+    const isStoryCountry = code => storyCountries.includes(code);
+    
+    d3.selectAll("#visualization .country")
+        .classed("selected", d => selected !== null && getFeatureCountryCode(d) === selected)
+        .classed("compared", d => isCompared(getFeatureCountryCode(d)))
+        .classed("story-highlight", d => isStoryCountry(getFeatureCountryCode(d)))
+        .style("stroke", d => isCompared(getFeatureCountryCode(d)) ? getComparisonColor(getFeatureCountryCode(d)) : null);
+    
+    d3.selectAll("#visualization .dot")
+        .classed("selected", d => selected !== null && d.countryCode === selected)
+        .classed("compared", d => isCompared(d.countryCode))
+        .classed("story-highlight", d => isStoryCountry(d.countryCode))
+        .classed("dimmed", d => (compared.length > 0 && !isCompared(d.countryCode)) ||
+            (storyCountries.length > 0 && !isStoryCountry(d.countryCode)))
+        .style("stroke", d => isCompared(d.countryCode) ? getComparisonColor(d.countryCode) : null);
+    
+    d3.selectAll("#visualization .rank-country")
+        .classed("selected", d => selected !== null && d.countryCode === selected)
+        .classed("compared", d => isCompared(d.countryCode))
+        .classed("dimmed", d => compared.length > 0 && !isCompared(d.countryCode));
+}
+
+/**
+ * Refresh the views that follow the scene's year
+ */
+function refreshCountryViews() {
+    updateCountryPanel();
+    renderComparisonChart();
+    updateDataTable();
+}
+
 /**
  * Utility functions
  */
@@ -1515,7 +1923,11 @@ function showLoading(show) {
 
 function showError(message) {
     console.error(message);
-    alert(message);
+    d3.select("#error-message").text(message);
+    d3.select("#error-banner").classed("visible", true);
+    d3.select("#error-dismiss").on("click", () => {
+        d3.select("#error-banner").classed("visible", false);
+    });
 }
 
 // Initialize when DOM is ready
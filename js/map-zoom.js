@@ -0,0 +1,159 @@
+/**
+ * Digital Divide Visualization - Map Zoom
+ * Zoom and pan on the Scene 1 and 2 maps, with reset and zoom-to-region controls
+ */
+
+// How far in the maps can zoom, and the share of the map a fitted region fills
+const mapZoomSettings = {
+    scaleExtent: [1, 40],
+    fitPadding: 0.9,
+    duration: 750
+};
+
+/**
+ * Let the map layer's features zoom and pan inside the top `mapHeight` pixels of the scene SVG
+ * The view carries over between Scene 1 and 2 and across re-renders
+ */
+function createMapZoom(svg, mapLayer, path, features, mapHeight) {
+    const zoomState = globalState.mapZoom;
+    const extent = [[0, 0], [dimensions.width, mapHeight]];
+
+    // Keep the zoomed map out of the legend area
+    svg.append("defs")
+        .append("clipPath")
+        .attr("id", "map-clip")
+        .append("rect")
+        .attr("width", dimensions.width)
+        .attr("height", mapHeight);
+    mapLayer.attr("clip-path", "url(#map-clip)");
+
+    // Catch drags and wheel turns over the ocean too
+    mapLayer.insert("rect", ":first-child")
+        .attr("class", "map-background")
+        .attr("width", dimensions.width)
+        .attr("height", mapHeight);
+
+    // d3's default filter, and no panning or zooming while Scene 2 is being recorded
+    const zoom = d3.zoom()
+        .filter(event => !globalState.scene2.isRecording && (!event.ctrlKey || event.type === "wheel") && !event.button)
+        .scaleExtent(mapZoomSettings.scaleExtent)
+        .extent(extent)
+        .translateExtent(extent)
+        .on("start", event => {
+            if (event.sourceEvent) {
+                dismissTapTooltip(event.sourceEvent.target);
+            }
+        })
+        .on("zoom", event => {
+            mapLayer.select(".map-features").attr("transform", event.transform);
+
+            // Borders are non-scaling strokes (see styles.css); the hatch is scaled back by hand
+            svg.select("#estimated-hatch")
+                .attr("patternTransform", `scale(${1 / event.transform.k}) rotate(45)`);
+
+            if (event.sourceEvent && event.sourceEvent.type !== "wheel") {
+                hideTooltip();
+            }
+
+            zoomState.transform = event.transform;
+            zoomState.width = dimensions.width;
+
+            // Callout labels keep their size and stay beside their countries
+            updateMapInsights();
+        });
+
+    // Double-click stays a country click rather than a zoom step
+    mapLayer.call(zoom).on("dblclick.zoom", null);
+
+    Object.assign(zoomState, { behavior: zoom, layer: mapLayer, path, features, mapHeight });
+
+    // Restore the previous view, rescaled if the map was redrawn at another width
+    if (zoomState.transform && zoomState.width > 0) {
+        const ratio = dimensions.width / zoomState.width;
+        const { x, y, k } = zoomState.transform;
+        mapLayer.call(zoom.transform, d3.zoomIdentity.translate(x * ratio, y * ratio).scale(k));
+    } else if (zoomState.region !== "all") {
+        // A region chosen before the map was drawn (e.g. by a story step)
+        mapLayer.call(zoom.transform, getRegionTransform(zoomState.region));
+    }
+
+    d3.selectAll(".map-region-select").property("value", zoomState.region);
+}
+
+/**
+ * Bounds of a feature without its far-flung parts (e.g. France without French Guiana)
+ */
+function getMainlandBounds(feature, path) {
+    if (feature.geometry.type !== "MultiPolygon") {
+        return path.bounds(feature);
+    }
+
+    const largest = d3.greatest(
+        feature.geometry.coordinates.map(polygon => ({ type: "Polygon", coordinates: polygon })),
+        polygon => path.area(polygon)
+    );
+    return path.bounds(largest);
+}
+
+/**
+ * Zoom transform fitting the map to the countries of a region
+ */
+function getRegionTransform(region) {
+    const { path, features, mapHeight } = globalState.mapZoom;
+    const byCountry = globalState.data.processed.byCountry;
+
+    const regionFeatures = features.filter(feature => {
+        const history = byCountry.get(getFeatureCountryCode(feature));
+        return history && history[0].region === region;
+    });
+
+    if (regionFeatures.length === 0) {
+        return d3.zoomIdentity;
+    }
+
+    const bounds = regionFeatures.map(feature => getMainlandBounds(feature, path));
+    const x0 = d3.min(bounds, b => b[0][0]);
+    const y0 = d3.min(bounds, b => b[0][1]);
+    const x1 = d3.max(bounds, b => b[1][0]);
+    const y1 = d3.max(bounds, b => b[1][1]);
+
+    const [minScale, maxScale] = mapZoomSettings.scaleExtent;
+    const k = Math.max(minScale, Math.min(maxScale,
+        mapZoomSettings.fitPadding / Math.max((x1 - x0) / dimensions.width, (y1 - y0) / mapHeight)));
+
+    return d3.zoomIdentity
+        .translate(dimensions.width / 2, mapHeight / 2)
+        .scale(k)
+        .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+}
+
+/**
+ * Fit the map to a region ("all" shows the whole world)
+ */
+function zoomMapToRegion(region) {
+    const zoomState = globalState.mapZoom;
+    zoomState.region = region;
+    d3.selectAll(".map-region-select").property("value", region);
+
+    if (!zoomState.layer || !zoomState.layer.node().isConnected) return;
+
+    const transform = region === "all" ? d3.zoomIdentity : getRegionTransform(region);
+    zoomState.layer.transition()
+        .duration(mapZoomSettings.duration)
+        .call(zoomState.behavior.transform, transform);
+
+    if (region !== "all") {
+        announce(`Map zoomed to ${region}`);
+    }
+}
+
+/**
+ * Wire up the zoom-to-region selectors and reset buttons of both maps
+ */
+function setupMapZoom() {
+    d3.selectAll(".map-region-select").on("change", function() {
+        zoomMapToRegion(this.value);
+    });
+
+    d3.selectAll(".map-zoom-reset").on("click", () => zoomMapToRegion("all"));
+}
@@ -0,0 +1,125 @@
+/**
+ * Digital Divide Visualization - Metrics
+ * Metrics the choropleth scenes can color by, with their scales and formatting
+ */
+
+const metricDefinitions = {
+    internetPenetration: {
+        label: "Internet Penetration",
+        shortLabel: "Internet Users",
+        format: d => `${Math.round(d)}%`,
+        tooltipFormat: d => `${d.toFixed(1)}%`,
+        // Fixed domains keep the original scene 1 / scene 2 coloring
+        fixedDomain: { scene1: [0, 60], scene2: [0, 100] }
+    },
+    gdpPerCapita: {
+        label: "GDP per Capita",
+        shortLabel: "GDP per capita",
+        format: d => `$${d3.format(",.0f")(d)}`,
+        tooltipFormat: d => `$${d.toLocaleString()}`
+    },
+    population: {
+        label: "Population",
+        shortLabel: "Population",
+        format: formatPeople,
+        tooltipFormat: formatPeople
+    },
+    internetUsers: {
+        label: "Internet Users (absolute)",
+        shortLabel: "Internet users",
+        format: formatPeople,
+        tooltipFormat: formatPeople
+    },
+    // Not a column: colors by GDP per capita and penetration together (see bivariate.js)
+    bivariate: {
+        label: "Wealth × Connectivity",
+        shortLabel: "Wealth × connectivity",
+        bivariate: true
+    }
+};
+
+/**
+ * Format a head count as 1.2M / 3.4B
+ */
+function formatPeople(d) {
+    return d3.format(".3~s")(d).replace("G", "B");
+}
+
+/**
+ * Derived series computed from the loaded columns
+ */
+function addDerivedMetrics(records) {
+    records.forEach(d => {
+        d.internetUsers = Math.round(d.internetPenetration / 100 * d.population);
+    });
+}
+
+/**
+ * Build a color scale for a metric over the records shown in a scene
+ */
+function createMetricColorScale(metricKey, interpolator, records, scene) {
+    const metric = metricDefinitions[metricKey];
+
+    if (metric.bivariate) {
+        return createBivariateScale(records, getPalette().bivariate);
+    }
+
+    if (metric.fixedDomain) {
+        return d3.scaleSequential(interpolator).domain(metric.fixedDomain[scene]);
+    }
+
+    // Skewed metrics read better on a log-like scale; symlog also handles zero internet users
+    return d3.scaleSequentialSymlog(interpolator).domain(d3.extent(records, d => d[metricKey]));
+}
+
+/**
+ * Rebuild the map color scales for the selected metric
+ */
+function updateMetricScales() {
+    const metricKey = globalState.selectedMetric;
+    const byYear = globalState.data.processed.byYear;
+
+    const palette = getPalette();
+
+    colorScales.scene1 = createMetricColorScale(metricKey, palette.scene1, byYear.get(globalState.scene1.year) || [], "scene1");
+    colorScales.scene2 = createMetricColorScale(metricKey, palette.scene2, globalState.data.connectivity, "scene2");
+    updateScene2YearScale(getYearRecords(globalState.scene2.currentYear));
+}
+
+/**
+ * In bivariate mode, take the Scene 2 terciles from the year shown, as Scene 1 does
+ * (the other metrics keep one domain across every year, so change over time shows in the color)
+ */
+function updateScene2YearScale(records) {
+    if (isBivariateMetric()) {
+        colorScales.scene2 = createBivariateScale(records, getPalette().bivariate);
+    }
+}
+
+/**
+ * Map fill for a country's record under the selected metric
+ */
+function getMetricFill(scale, countryData) {
+    if (isBivariateMetric()) {
+        return countryData ? scale(countryData) : bivariateNoData;
+    }
+    return countryData ? scale(countryData[globalState.selectedMetric]) : colorScales.noData;
+}
+
+/**
+ * Tooltip rows with the selected metric first (in bivariate mode, the country's cell of the grid)
+ */
+function formatMetricRows(countryData) {
+    const bivariateRow = isBivariateMetric()
+        ? `${metricDefinitions.bivariate.shortLabel}: <strong>${describeBivariateClass(getActiveBivariateScale(), countryData)}</strong><br>\n`
+        : "";
+    const keys = [globalState.selectedMetric, "internetPenetration", "gdpPerCapita"]
+        .filter((key, i, all) => all.indexOf(key) === i && !metricDefinitions[key].bivariate);
+
+    return bivariateRow + keys
+        .map(key => {
+            const metric = metricDefinitions[key];
+            return `${metric.shortLabel}: <strong>${metric.tooltipFormat(countryData[key])}</strong><br>`;
+        })
+        .join("\n");
+}
@@ -0,0 +1,149 @@
+/**
+ * Digital Divide Visualization - Color Palettes
+ * Standard, colour-blind-safe and high-contrast color sets for the maps, region colors and page theme
+ */
+
+// localStorage key the chosen palette is saved under
+const paletteStorageKey = "digital-divide-palette";
+
+// Map interpolators, region colors, compared-country colors, the Scene 2 bar fill, the "no data" fill
+// and the bivariate map matrix for each palette
+// (bivariate matrices are Joshua Stevens' schemes, indexed wealth bin × 3 + connectivity bin)
+const palettes = {
+    standard: {
+        label: "Standard",
+        scene1: d3.interpolateBlues,
+        scene2: d3.interpolateViridis,
+        regions: d3.schemeCategory10,
+        comparison: d3.schemeDark2,
+        bars: "#3182ce",
+        noData: "#e2e8f0",
+        bivariate: ["#e8e8e8", "#ace4e4", "#5ac8c8", "#dfb0d6", "#a5add3", "#5698b9", "#be64ac", "#8c62aa", "#3b4994"]
+    },
+    colorblind: {
+        label: "Colour-blind safe",
+        // Cividis reads the same with red-green colour blindness; no data is a neutral gray outside its range
+        scene1: d3.interpolateCividis,
+        scene2: d3.interpolateCividis,
+        // Okabe-Ito
+        regions: ["#0072B2", "#E69F00", "#009E73", "#CC79A7", "#56B4E9", "#D55E00", "#F0E442", "#000000"],
+        // Paul Tol's "bright" scheme without its gray
+        comparison: ["#4477AA", "#EE6677", "#228833", "#CCBB44", "#66CCEE", "#AA3377"],
+        bars: "#0072B2",
+        noData: "#d9d9d9",
+        // Purple-gold: both hues stay apart with red-green colour blindness
+        bivariate: ["#e8e8e8", "#e4d9ac", "#c8b35a", "#cbb8d7", "#c8ada0", "#af8e53", "#9972af", "#976b82", "#804d36"]
+    },
+    highContrast: {
+        label: "High contrast",
+        // Drop the near-black ends so dark countries stay apart from the black borders
+        scene1: t => d3.interpolateInferno(0.15 + 0.85 * t),
+        scene2: t => d3.interpolateMagma(0.15 + 0.85 * t),
+        // Paul Tol's "vibrant" scheme, with black in place of its light gray
+        regions: ["#0077BB", "#EE7733", "#009988", "#CC3311", "#33BBEE", "#EE3377", "#000000"],
+        // Paul Tol's high-contrast trio, then black and a dark teal
+        comparison: ["#004488", "#BB5566", "#DDAA33", "#000000", "#007766"],
+        bars: "#004488",
+        noData: "#ffffff",
+        // Blue-red, whose lightest cell is still gray against the white "no data"
+        bivariate: ["#e8e8e8", "#e4acac", "#c85a5a", "#b0d5df", "#ad9ea5", "#985356", "#64acbe", "#627f8c", "#574249"]
+    }
+};
+
+/**
+ * Palette saved by a previous visit, or the standard one
+ */
+function readSavedPalette() {
+    try {
+        const saved = window.localStorage.getItem(paletteStorageKey);
+        return palettes[saved] ? saved : "standard";
+    } catch (error) {
+        // Storage can be blocked (private mode, file:// in some browsers)
+        return "standard";
+    }
+}
+
+/**
+ * Active palette definition
+ */
+function getPalette() {
+    return palettes[globalState.palette] || palettes.standard;
+}
+
+/**
+ * Point every entry in colorScales at the active palette
+ */
+function updatePaletteScales() {
+    const palette = getPalette();
+
+    colorScales.scene3 = d3.scaleOrdinal(palette.regions);
+    colorScales.comparison = d3.scaleOrdinal(palette.comparison);
+    colorScales.bars = palette.bars;
+    colorScales.noData = palette.noData;
+    if (globalState.data.processed) {
+        updateMetricScales();
+    }
+}
+
+/**
+ * Body classes for the palette's page theme (e.g. "palette-highContrast")
+ */
+function updatePaletteTheme() {
+    Object.keys(palettes).forEach(name => {
+        d3.select("body").classed(`palette-${name}`, name === globalState.palette);
+    });
+    d3.select("#palette-select").property("value", globalState.palette);
+}
+
+/**
+ * Switch palette, remember it and redraw the current scene with its legend
+ */
+function setPalette(name) {
+    if (!palettes[name]) return;
+
+    globalState.palette = name;
+    try {
+        window.localStorage.setItem(paletteStorageKey, name);
+    } catch (error) {
+        console.warn("Could not save the palette choice:", error);
+    }
+
+    updatePaletteScales();
+    updatePaletteTheme();
+    updateComparisonView();
+
+    if (globalState.currentScene > 0) {
+        showScene(globalState.currentScene, { history: "none" });
+    }
+}
+
+/**
+ * Legend swatch for countries without data
+ */
+function addNoDataKey(legend, x, y, fill = colorScales.noData) {
+    const key = legend.append("g")
+        .attr("class", "no-data-key")
+        .attr("transform", `translate(${x - 30}, ${y - 10})`);
+
+    key.append("rect")
+        .attr("width", 12)
+        .attr("height", 12)
+        .attr("fill", fill)
+        .style("stroke", "#333");
+
+    key.append("text")
+        .attr("x", 17)
+        .attr("y", 10)
+        .style("font-size", "11px")
+        .text("No data");
+}
+
+/**
+ * Wire up the palette selector and apply the saved theme
+ */
+function setupPalette() {
+    updatePaletteTheme();
+    d3.select("#palette-select").on("change", function() {
+        setPalette(this.value);
+    });
+}
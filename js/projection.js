@@ -0,0 +1,226 @@
+/**
+ * Digital Divide Visualization - Adoption Projection
+ * Fits each country's penetration series with a logistic S-curve, projects it past the data and estimates threshold crossings
+ */
+
+// Horizons offered in Scene 2, the fewest measured years a curve needs, the share every curve levels off at,
+// the thresholds reported in the country panel, and the last year a crossing is searched for
+const projectionSettings = {
+    horizons: [2027, 2030, 2035],
+    defaultHorizon: 2030,
+    minObservations: 5,
+    ceiling: 100,
+    thresholds: [50, 90],
+    latestCrossing: 2100
+};
+
+/**
+ * Fit a logistic adoption curve to a country's measured (not estimated) years
+ * The ceiling is held at projectionSettings.ceiling: countries early on the curve cannot pin down their own
+ * ceiling, and a free fit levels them off just above their latest value. Time is in decades from the first year.
+ */
+function fitAdoptionCurve(history) {
+    const firstYear = globalState.data.processed.years[0];
+    const toX = year => (year - firstYear) / 10;
+    const measured = history.filter(d => !d.estimated && Number.isFinite(d.internetPenetration));
+
+    if (measured.length < projectionSettings.minObservations) return null;
+
+    const fit = fitLogistic(measured.map(d => ({ x: toX(d.year), y: d.internetPenetration })), projectionSettings.ceiling);
+    if (!fit) return null;
+
+    const { ceiling, steepness, midpoint } = fit.parameters;
+    if (!(steepness > 0)) return null;
+
+    // Projections continue from the last value rather than the curve, so the map does not jump at the seam:
+    // the curve is slid along the time axis to the point where it passes that value
+    const last = history[history.length - 1];
+    const start = Math.min(Math.max(last.internetPenetration, 0.1), ceiling - 0.1);
+    const startX = midpoint + Math.log(start / (ceiling - start)) / steepness;
+
+    return {
+        last,
+        project: year => Math.max(last.internetPenetration,
+            fit.predict(startX + toX(year) - toX(last.year)))
+    };
+}
+
+/**
+ * First year a country reaches a threshold: from the data if it already has, otherwise along its projection
+ * Null when the curve levels off below the threshold (or reaches it only after latestCrossing)
+ */
+function estimateCrossing(history, curve, threshold) {
+    const reached = history.find(d => d.internetPenetration >= threshold);
+    if (reached) {
+        return { year: reached.year, projected: false };
+    }
+    if (!curve) return null;
+
+    for (let year = curve.last.year + 1; year <= projectionSettings.latestCrossing; year++) {
+        if (curve.project(year) >= threshold) {
+            return { year, projected: true };
+        }
+    }
+    return null;
+}
+
+/**
+ * Fit every country and build projected records for each year up to the furthest horizon
+ */
+function buildProjections() {
+    const { byCountry, years } = globalState.data.processed;
+    const lastYear = years[years.length - 1];
+    const furthest = d3.max(projectionSettings.horizons);
+
+    const curves = new Map();
+    const byYear = new Map(d3.range(lastYear + 1, furthest + 1).map(year => [year, []]));
+
+    byCountry.forEach((history, countryCode) => {
+        const curve = fitAdoptionCurve(history);
+        const crossings = new Map(projectionSettings.thresholds.map(threshold =>
+            [threshold, estimateCrossing(history, curve, threshold)]));
+        curves.set(countryCode, { curve, crossings });
+
+        if (!curve) return;
+
+        // GDP and population are held at their last values; internet users follow the projected share
+        byYear.forEach((records, year) => {
+            const internetPenetration = curve.project(year);
+            records.push({
+                ...curve.last,
+                year,
+                internetPenetration,
+                internetUsers: Math.round(internetPenetration / 100 * curve.last.population),
+                estimated: false,
+                projected: true
+            });
+        });
+    });
+
+    globalState.data.processed.projection = { curves, byYear, lastObservedYear: lastYear };
+}
+
+/**
+ * Years Scene 2 can show: the data, then projected years up to the chosen horizon
+ */
+function getScene2Years() {
+    const { years, projection } = globalState.data.processed;
+    const projected = globalState.projectionHorizon > 0
+        ? [...projection.byYear.keys()].filter(year => year <= globalState.projectionHorizon)
+        : [];
+    return [...years, ...projected];
+}
+
+/**
+ * Whether a year is past the data and inside the chosen horizon
+ */
+function isProjectedYear(year) {
+    const { lastObservedYear } = globalState.data.processed.projection;
+    return year > lastObservedYear && year <= globalState.projectionHorizon;
+}
+
+/**
+ * Records for a year: measured (or estimated) from the data, or projected
+ */
+function getYearRecords(year) {
+    if (isProjectedYear(year)) {
+        return globalState.data.processed.projection.byYear.get(year) || [];
+    }
+    return globalState.data.processed.byYear.get(year) || [];
+}
+
+/**
+ * A country's projected records for the years Scene 2 runs on to (none when projection is off)
+ */
+function getProjectedRecords(countryCode) {
+    return getScene2Years()
+        .filter(isProjectedYear)
+        .map(year => getYearRecords(year).find(d => d.countryCode === countryCode))
+        .filter(Boolean);
+}
+
+/**
+ * Tooltip and panel note for projected values
+ */
+function formatProjectedNote(countryData) {
+    return countryData.projected
+        ? `<span class="projected-note">Projected from a logistic fit to ${globalState.data.processed.years[0]}–${globalState.data.processed.projection.lastObservedYear}</span><br>`
+        : "";
+}
+
+/**
+ * Country panel lines giving when a country crosses each threshold
+ */
+function formatCrossings(countryCode) {
+    const entry = globalState.data.processed.projection.curves.get(countryCode);
+    if (!entry) return "";
+
+    return projectionSettings.thresholds.map(threshold => {
+        const crossing = entry.crossings.get(threshold);
+        const text = !crossing
+            ? "not in sight at the current pace"
+            : `${crossing.year}${crossing.projected ? " (projected)" : ""}`;
+        return `<p>Crosses ${threshold}%: <strong${crossing && crossing.projected ? " class=\"projected-value\"" : ""}>${text}</strong></p>`;
+    }).join("");
+}
+
+/**
+ * Point the Scene 2 slider, horizon selector and disclaimer at the chosen horizon
+ */
+function updateProjectionControls() {
+    const years = getScene2Years();
+    const { lastObservedYear } = globalState.data.processed.projection;
+    const year = globalState.scene2.currentYear;
+
+    d3.select("#year-slider")
+        .attr("min", years[0])
+        .attr("max", years[years.length - 1]);
+    d3.select("#projection-horizon").property("value", globalState.projectionHorizon);
+
+    const projected = isProjectedYear(year);
+    d3.select("#current-year").text(projected ? `${year} (projected)` : year);
+    d3.select("#projection-disclaimer")
+        .classed("visible", projected)
+        .text(projected
+            ? `Projection, not data: each country's ${years[0]}–${lastObservedYear} series is fitted with a logistic S-curve ` +
+                `levelling off at ${projectionSettings.ceiling}% and extended. GDP and population are held at their last values; ` +
+                "countries with too few measured years are left blank."
+            : "");
+}
+
+/**
+ * Change the projection horizon (0 turns projection off), pulling Scene 2 back inside it if needed
+ */
+function setProjectionHorizon(horizon) {
+    globalState.projectionHorizon = horizon;
+
+    const years = getScene2Years();
+    const lastYear = years[years.length - 1];
+    if (globalState.scene2.currentYear > lastYear) {
+        if (globalState.currentScene === 2) {
+            updateYear(lastYear, "none");
+        } else {
+            globalState.scene2.currentYear = lastYear;
+        }
+    }
+    updateProjectionControls();
+}
+
+/**
+ * Wire up the horizon selector
+ */
+function setupProjection() {
+    d3.select("#projection-horizon")
+        .selectAll("option")
+        .data([0, ...projectionSettings.horizons])
+        .join("option")
+        .attr("value", d => d)
+        .text(d => (d === 0 ? "No projection" : `Project to ${d}`));
+
+    d3.select("#projection-horizon").on("change", function() {
+        setProjectionHorizon(+this.value);
+        writeUrlState();
+    });
+
+    updateProjectionControls();
+}
@@ -0,0 +1,149 @@
+/**
+ * Digital Divide Visualization - Scene 2 Recording
+ * Steps the timelapse through every year and encodes the frames as WebM video or an animated GIF
+ */
+
+/**
+ * Render every year of Scene 2 (projected years included) to a canvas, restoring the shown year afterwards
+ */
+async function captureScene2Frames(scale, onProgress) {
+    const scene2 = globalState.scene2;
+    const years = getScene2Years();
+    const shownYear = scene2.currentYear;
+    const frames = [];
+
+    if (scene2.isAnimating) {
+        toggleAnimation();
+    }
+
+    try {
+        for (let i = 0; i < years.length; i++) {
+            scene2.currentYear = years[i];
+            scene2.updateFunction(years[i], 0);
+            frames.push(await rasterizeSvg(buildExportSvg(), scale));
+            onProgress(i + 1, years.length);
+        }
+    } finally {
+        scene2.currentYear = shownYear;
+        scene2.updateFunction(shownYear, 0);
+    }
+
+    return frames;
+}
+
+/**
+ * Play the frames into a canvas stream and record it as WebM (takes frames x frameDelay to run)
+ */
+function encodeWebm(frames, frameDelay) {
+    const mimeType = typeof MediaRecorder === "undefined"
+        ? undefined
+        : ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find(type => MediaRecorder.isTypeSupported(type));
+
+    if (!mimeType) {
+        return Promise.reject(new Error("This browser cannot record WebM video. Choose GIF instead."));
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = frames[0].width;
+    canvas.height = frames[0].height;
+    const context = canvas.getContext("2d");
+
+    // Frames are pushed into the stream one at a time
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+    const chunks = [];
+
+    return new Promise((resolve, reject) => {
+        recorder.ondataavailable = event => chunks.push(event.data);
+        recorder.onstop = () => resolve(new Blob(chunks, { type: "video/webm" }));
+        recorder.onerror = event => reject(event.error || new Error("Recording failed."));
+        recorder.start();
+
+        let index = 0;
+        const drawNext = () => {
+            if (index === frames.length) {
+                recorder.stop();
+                return;
+            }
+            context.drawImage(frames[index++], 0, 0);
+            if (track.requestFrame) {
+                track.requestFrame();
+            }
+            setTimeout(drawNext, frameDelay);
+        };
+        drawNext();
+    });
+}
+
+/**
+ * Record Scene 2 with the chosen format, frame duration and resolution, then download it
+ */
+async function recordScene2() {
+    if (globalState.currentScene !== 2 || globalState.scene2.isRecording) return;
+
+    const format = d3.select("#record-format").property("value");
+    const frameDelay = +d3.select("#record-frame-duration").property("value");
+    const scale = +d3.select("#record-scale").property("value");
+    const button = d3.select("#record-btn");
+
+    setRecordingState(true);
+
+    try {
+        const frames = await captureScene2Frames(scale, (done, total) => {
+            button.text(`Capturing ${done}/${total}…`);
+        });
+
+        button.text("Encoding…");
+        // Let the button repaint before the (blocking) GIF encode
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const blob = format === "gif"
+            ? encodeGif(frames, frameDelay)
+            : await encodeWebm(frames, frameDelay);
+
+        const years = getScene2Years();
+        downloadBlob(blob, `digital-divide-timelapse-${years[0]}-${years[years.length - 1]}.${format}`);
+    } catch (error) {
+        console.error("Recording failed:", error);
+        showError(`Recording failed: ${error.message}`);
+    } finally {
+        setRecordingState(false);
+    }
+}
+
+/**
+ * Lock the timeline, and every control that would redraw Scene 2, while a recording is in progress
+ * (map drags and wheel zooms are held off by the zoom filter in map-zoom.js)
+ */
+function setRecordingState(isRecording) {
+    globalState.scene2.isRecording = isRecording;
+
+    d3.selectAll([
+        "#play-pause-btn", "#reset-btn", "#year-slider", "#record-btn", ".recording-controls select", ".scene-btn",
+        "#palette-select", ".metric-select", "#projection-horizon", "#weighted-average",
+        ".map-region-select", ".map-zoom-reset"
+    ].join(", "))
+        .property("disabled", isRecording);
+
+    d3.select("#record-btn")
+        .classed("recording", isRecording)
+        .text(isRecording ? "Capturing…" : "● Record");
+}
+
+/**
+ * Name each resolution by the width it records at, from the chart's current width
+ */
+function updateRecordingScaleLabels() {
+    d3.selectAll("#record-scale option")
+        .text(function() {
+            return `${Math.round(dimensions.width * +this.value)} px wide`;
+        });
+}
+
+/**
+ * Wire up the record button
+ */
+function setupRecording() {
+    d3.select("#record-btn").on("click", recordScene2);
+}
@@ -0,0 +1,233 @@
+/**
+ * Digital Divide Visualization - Scene 5: Is the Divide Closing?
+ * Per-year inequality metrics of connectivity across countries
+ */
+
+const divideMeasures = [
+    {
+        key: "quintileGap",
+        label: "Top vs. bottom quintile gap",
+        format: d => `${d.toFixed(1)} pts`
+    },
+    {
+        key: "gini",
+        label: "Gini index of connectivity",
+        format: d => d.toFixed(3)
+    },
+    {
+        key: "stdDev",
+        label: "Standard deviation",
+        format: d => `${d.toFixed(1)} pts`
+    }
+];
+
+/**
+ * Gini coefficient of a set of non-negative values (0 = equal, 1 = maximally unequal)
+ */
+function calculateGini(values) {
+    const n = values.length;
+    const mean = d3.mean(values);
+    if (n === 0 || !mean) return 0;
+
+    // Sorted form of the mean absolute difference: sum((2i - n - 1) * x_i) / (n^2 * mean)
+    const sorted = [...values].sort((a, b) => a - b);
+    const weightedSum = d3.sum(sorted, (x, i) => (2 * (i + 1) - n - 1) * x);
+    return weightedSum / (n * n * mean);
+}
+
+/**
+ * Divide metrics for every year, with the countries at each extreme
+ */
+function calculateDivideMetrics() {
+    const { byYear, years } = globalState.data.processed;
+
+    return years.map(year => {
+        const sorted = [...(byYear.get(year) || [])]
+            .sort((a, b) => a.internetPenetration - b.internetPenetration);
+        const values = sorted.map(d => d.internetPenetration);
+        const quintileSize = Math.max(1, Math.round(sorted.length / 5));
+        const bottom = sorted.slice(0, quintileSize);
+        const top = sorted.slice(-quintileSize).reverse();
+
+        return {
+            year,
+            quintileGap: d3.mean(top, d => d.internetPenetration) - d3.mean(bottom, d => d.internetPenetration),
+            gini: calculateGini(values),
+            stdDev: d3.deviation(values) || 0,
+            top,
+            bottom
+        };
+    });
+}
+
+/**
+ * Classify a measure's trend from its peak and its slope over the recent window
+ * "narrowing": still falling; "stalled": well below its peak but no longer falling; "widening": neither
+ */
+function assessTrend(series, key, window = 5) {
+    const peak = series.reduce((a, b) => (b[key] > a[key] ? b : a));
+    const latest = series[series.length - 1];
+    const recent = series.slice(-window);
+    const slope = (recent[recent.length - 1][key] - recent[0][key]) / (recent.length - 1 || 1);
+
+    let status = "widening";
+    if (slope < 0) {
+        status = "narrowing";
+    } else if (latest[key] < peak[key] * 0.9) {
+        status = "stalled";
+    }
+
+    return { status, peak, latest, slope };
+}
+
+/**
+ * Scene 5: Convergence analysis
+ */
+function showScene5() {
+    console.log("Rendering Scene 5: Is the Divide Closing?");
+
+    const series = calculateDivideMetrics();
+    const years = globalState.data.processed.years;
+
+    // Verdicts sit to the right of each panel, or below it on narrow screens
+    const narrow = isNarrowLayout();
+    const margin = { top: 20, right: narrow ? 20 : 290, bottom: 40, left: 80 };
+    const width = dimensions.width - margin.left - margin.right;
+    const panelGap = narrow ? 130 : 30;
+    const panelHeight = narrow
+        ? 140
+        : (dimensions.height - margin.top - margin.bottom - panelGap * (divideMeasures.length - 1)) / divideMeasures.length;
+    const height = margin.top + margin.bottom + panelHeight * divideMeasures.length + panelGap * (divideMeasures.length - 1);
+
+    const svg = createSceneSvg(narrow ? height + 70 : height);
+
+    const xScale = d3.scaleLinear()
+        .domain(d3.extent(years))
+        .range([0, width]);
+
+    divideMeasures.forEach((measure, i) => {
+        const panel = svg.append("g")
+            .attr("class", "divide-panel")
+            .attr("transform", `translate(${margin.left}, ${margin.top + i * (panelHeight + panelGap)})`);
+
+        const yScale = d3.scaleLinear()
+            .domain([0, d3.max(series, d => d[measure.key]) * 1.1])
+            .nice()
+            .range([panelHeight, 0]);
+
+        panel.append("g")
+            .attr("class", "axis")
+            .attr("transform", `translate(0, ${panelHeight})`)
+            .call(d3.axisBottom(xScale).ticks(narrow ? 5 : 12).tickFormat(i === divideMeasures.length - 1 ? d3.format("d") : ""));
+
+        panel.append("g")
+            .attr("class", "axis")
+            .call(d3.axisLeft(yScale).ticks(4));
+
+        panel.append("text")
+            .attr("class", "axis-label")
+            .attr("x", 5)
+            .attr("y", -6)
+            .style("font-size", "12px")
+            .text(measure.label);
+
+        const line = d3.line()
+            .x(d => xScale(d.year))
+            .y(d => yScale(d[measure.key]));
+
+        panel.append("path")
+            .datum(series)
+            .attr("class", "divide-line")
+            .attr("d", line);
+
+        panel.selectAll(".divide-point")
+            .data(series)
+            .enter()
+            .append("circle")
+            .attr("class", "divide-point")
+            .attr("cx", d => xScale(d.year))
+            .attr("cy", d => yScale(d[measure.key]))
+            .attr("r", 4)
+            .on("mouseover", function(event, d) {
+                d3.select(this).attr("r", 6);
+                showDivideTooltip(event, d, measure);
+            })
+            .on("mouseout", function() {
+                d3.select(this).attr("r", 4);
+                hideTooltip();
+            });
+
+        // Mark the peak and state whether the measure is narrowing
+        const trend = assessTrend(series, measure.key);
+
+        panel.append("circle")
+            .attr("class", "divide-peak")
+            .attr("cx", xScale(trend.peak.year))
+            .attr("cy", yScale(trend.peak[measure.key]))
+            .attr("r", 7);
+
+        if (narrow) {
+            addDivideVerdict(panel, measure, trend, Math.max(10 - margin.left, (width - 250) / 2), panelHeight + 35);
+        } else {
+            addDivideVerdict(panel, measure, trend, width + 25, panelHeight / 2 - 35);
+        }
+    });
+
+    console.log("Scene 5 setup complete");
+}
+
+const verdictLabels = {
+    narrowing: "▼ Narrowing",
+    stalled: "■ Narrowed, now stalled",
+    widening: "▲ Not narrowing"
+};
+
+/**
+ * Verdict box next to a panel, with its top-left corner at (x, y)
+ */
+function addDivideVerdict(panel, measure, trend, x, y) {
+    const verdict = panel.append("g")
+        .attr("class", `divide-verdict ${trend.status}`)
+        .attr("transform", `translate(${x}, ${y})`);
+
+    verdict.append("rect")
+        .attr("width", 250)
+        .attr("height", 70)
+        .attr("rx", 8);
+
+    verdict.append("text")
+        .attr("class", "verdict-title")
+        .attr("x", 15)
+        .attr("y", 24)
+        .text(verdictLabels[trend.status]);
+
+    verdict.append("text")
+        .attr("x", 15)
+        .attr("y", 43)
+        .text(`Peak ${measure.format(trend.peak[measure.key])} in ${trend.peak.year}`);
+
+    verdict.append("text")
+        .attr("x", 15)
+        .attr("y", 59)
+        .text(`Now ${measure.format(trend.latest[measure.key])} in ${trend.latest.year}`);
+}
+
+/**
+ * Tooltip listing the countries at each extreme for a year
+ */
+function showDivideTooltip(event, d, measure) {
+    const list = records => records
+        .map(r => `${r.country} (${r.internetPenetration.toFixed(1)}%)`)
+        .join(", ");
+
+    d3.select("#tooltip-title").text(`${d.year}: ${measure.format(d[measure.key])}`);
+    d3.select("#tooltip-text").html(`
+        <strong>Top quintile:</strong> ${list(d.top)}<br>
+        <strong>Bottom quintile:</strong> ${list(d.bottom)}
+    `);
+
+    d3.select("#tooltip")
+        .classed("visible", true)
+        .style("left", (event.pageX + 10) + "px")
+        .style("top", (event.pageY - 10) + "px");
+}
@@ -0,0 +1,368 @@
+/**
+ * Digital Divide Visualization - Scene 6: Who Moved Up
+ * Bump chart of each country's connectivity rank over time, with a sortable table of rank changes and gains
+ */
+
+// Columns of the rank table, and which sort largest first on the first click (ranks start from #1)
+const rankTableColumns = [
+    { key: "country", label: "Country", descendingFirst: false },
+    { key: "region", label: "Region", descendingFirst: false },
+    { key: "firstRank", label: "First rank", descendingFirst: false },
+    { key: "lastRank", label: "Latest rank", descendingFirst: false },
+    { key: "rankChange", label: "Places moved", descendingFirst: true },
+    { key: "gain", label: "Gain", descendingFirst: true }
+];
+
+/**
+ * Rank of every record by penetration, 1 = most connected; ties share a rank (as in the country panel)
+ */
+function calculateRanks(records) {
+    return new Map(records.map(record => [
+        record.countryCode,
+        records.filter(d => d.internetPenetration > record.internetPenetration).length + 1
+    ]));
+}
+
+/**
+ * Each country's rank in every year, among the countries the region filter keeps
+ */
+function calculateRankSeries() {
+    const { byYear, years } = globalState.data.processed;
+    const series = new Map();
+
+    years.forEach(year => {
+        const records = filterScene3Data(byYear.get(year) || []);
+        const ranks = calculateRanks(records);
+
+        records.forEach(record => {
+            if (!series.has(record.countryCode)) {
+                series.set(record.countryCode, {
+                    countryCode: record.countryCode,
+                    country: record.country,
+                    region: record.region,
+                    values: []
+                });
+            }
+            series.get(record.countryCode).values.push({
+                year,
+                rank: ranks.get(record.countryCode),
+                count: records.length,
+                internetPenetration: record.internetPenetration,
+                estimated: record.estimated === true
+            });
+        });
+    });
+
+    return [...series.values()];
+}
+
+/**
+ * Rank change (positive = moved up) and penetration gain between each country's first and latest year
+ */
+function calculateRankChanges(series) {
+    return series.map(({ countryCode, country, region, values }) => {
+        const first = values[0];
+        const last = values[values.length - 1];
+        return {
+            country,
+            countryCode,
+            region,
+            firstYear: first.year,
+            lastYear: last.year,
+            firstRank: first.rank,
+            lastRank: last.rank,
+            rankChange: first.rank - last.rank,
+            gain: last.internetPenetration - first.internetPenetration
+        };
+    });
+}
+
+/**
+ * Rank changes in the order the table is sorted
+ */
+function sortRankChanges(changes) {
+    const { sortKey, sortDescending } = globalState.scene6;
+    const order = sortDescending ? d3.descending : d3.ascending;
+    return [...changes].sort((a, b) => order(a[sortKey], b[sortKey]) || d3.ascending(a.country, b.country));
+}
+
+/**
+ * Places moved as a signed count
+ */
+function formatRankChange(change) {
+    if (change === 0) return "±0";
+    return `${change > 0 ? "▲" : "▼"} ${Math.abs(change)}`;
+}
+
+/**
+ * Scene 6: Rank bump chart and table
+ */
+function showScene6() {
+    console.log("Rendering Scene 6: Who Moved Up");
+
+    const series = calculateRankSeries();
+    const changes = calculateRankChanges(series);
+    const years = globalState.data.processed.years;
+    const countryCount = d3.max(series, d => d3.max(d.values, v => v.count)) || 0;
+
+    if (countryCount === 0) {
+        showError("No countries to rank for this region");
+        return;
+    }
+
+    // Same region domain as Scene 3, so every region keeps its color
+    const allRegions = [...new Set(globalState.data.connectivity.map(d => d.region))];
+    const colorScale = colorScales.scene3.copy().domain(allRegions);
+    const regions = allRegions.filter(region => series.some(d => d.region === region));
+
+    // Country names run down the right-hand side at the latest year
+    const narrow = isNarrowLayout();
+    const margin = { top: 30, right: narrow ? 100 : 150, bottom: 40, left: 50 };
+    const width = dimensions.width - margin.left - margin.right;
+    const rowHeight = Math.max(12, Math.min(32, 480 / countryCount));
+    const height = rowHeight * Math.max(1, countryCount - 1);
+    const legendColumns = narrow ? 1 : 3;
+    const legendHeight = Math.ceil(regions.length / legendColumns) * 20 + 20;
+
+    const svg = createSceneSvg(margin.top + height + margin.bottom + legendHeight)
+        .classed("rank-chart", true);
+
+    const chart = svg.append("g")
+        .attr("transform", `translate(${margin.left}, ${margin.top})`);
+
+    const xScale = d3.scaleLinear()
+        .domain(d3.extent(years))
+        .range([0, width]);
+
+    const yScale = d3.scaleLinear()
+        .domain([1, Math.max(2, countryCount)])
+        .range([0, height]);
+
+    chart.append("g")
+        .attr("class", "axis")
+        .attr("transform", `translate(0, ${height + 10})`)
+        .call(d3.axisBottom(xScale).ticks(narrow ? 5 : 12).tickFormat(d3.format("d")));
+
+    chart.append("g")
+        .attr("class", "axis")
+        .attr("transform", "translate(-10, 0)")
+        .call(d3.axisLeft(yScale)
+            .tickValues([1, ...d3.range(5, countryCount + 1, 5)].filter(rank => rank <= countryCount))
+            .tickFormat(d => `#${d}`));
+
+    chart.append("text")
+        .attr("class", "axis-label")
+        .attr("x", -10)
+        .attr("y", -14)
+        .style("text-anchor", "end")
+        .style("font-size", "12px")
+        .text("Rank");
+
+    const line = d3.line()
+        .x(d => xScale(d.year))
+        .y(d => yScale(d.rank));
+
+    const countries = chart.selectAll(".rank-country")
+        .data(series, d => d.countryCode)
+        .enter()
+        .append("g")
+        .attr("class", "rank-country")
+        .attr("aria-label", d => {
+            const change = changes.find(c => c.countryCode === d.countryCode);
+            return `${d.country}: rank ${change.firstRank} in ${change.firstYear}, ${change.lastRank} in ${change.lastYear}`;
+        });
+
+    // A wide transparent stroke makes the thin lines easy to hover
+    countries.append("path")
+        .attr("class", "rank-hit")
+        .attr("d", d => line(d.values));
+
+    countries.append("path")
+        .attr("class", "rank-line")
+        .attr("d", d => line(d.values))
+        .style("stroke", d => colorScale(d.region));
+
+    countries.append("circle")
+        .attr("class", "rank-end")
+        .attr("cx", d => xScale(d.values[d.values.length - 1].year))
+        .attr("cy", d => yScale(d.values[d.values.length - 1].rank))
+        .attr("r", 3)
+        .style("fill", d => colorScale(d.region));
+
+    countries.append("text")
+        .attr("class", "rank-label")
+        .attr("x", d => xScale(d.values[d.values.length - 1].year) + 8)
+        .attr("y", d => yScale(d.values[d.values.length - 1].rank))
+        .attr("dy", "0.35em")
+        .style("font-size", `${Math.min(11, rowHeight - 1)}px`)
+        .text(d => `${d.values[d.values.length - 1].rank}. ${d.country}`);
+
+    countries
+        .on("mousemove", (event, d) => {
+            const [x] = d3.pointer(event, chart.node());
+            const year = Math.round(xScale.invert(x));
+            setRankHover(d.countryCode);
+            showRankTooltip(event, d, year, changes);
+        })
+        .on("mouseout", () => {
+            setRankHover(null);
+            hideTooltip();
+        })
+        .on("click", (event, d) => handleCountryClick(d.countryCode));
+
+    // Keyboard focus reads out the latest year
+    makeFocusable(countries, (anchor, d) => {
+        setRankHover(d.countryCode);
+        showRankTooltip(anchor, d, d.values[d.values.length - 1].year, changes);
+    }, d => d.countryCode);
+    countries.on("blur", () => {
+        setRankHover(null);
+        hideTooltip();
+    });
+
+    createLegend6(svg, regions, colorScale, margin.top + height + margin.bottom, legendColumns);
+
+    createRankTable(changes);
+
+    console.log("Scene 6 setup complete");
+}
+
+/**
+ * Region color key below the chart
+ */
+function createLegend6(svg, regions, colorScale, top, columns) {
+    const columnWidth = (dimensions.width - 40) / columns;
+
+    const item = svg.append("g")
+        .attr("class", "scene6-legend")
+        .attr("transform", `translate(20, ${top})`)
+        .selectAll("g")
+        .data(regions)
+        .enter()
+        .append("g")
+        .attr("transform", (d, i) => `translate(${(i % columns) * columnWidth}, ${Math.floor(i / columns) * 20})`);
+
+    item.append("line")
+        .attr("class", "rank-line")
+        .attr("x2", 18)
+        .style("stroke", d => colorScale(d));
+
+    item.append("text")
+        .attr("x", 24)
+        .attr("dy", "0.35em")
+        .style("font-size", "11px")
+        .text(d => d);
+}
+
+/**
+ * Bring one country's line forward and fade the rest (null clears)
+ */
+function setRankHover(countryCode) {
+    d3.select("#visualization .rank-chart").classed("has-hover", countryCode !== null);
+    d3.selectAll("#visualization .rank-country")
+        .classed("hovered", d => d.countryCode === countryCode)
+        .filter(d => d.countryCode === countryCode)
+        .raise();
+    d3.selectAll("#visualization .rank-table tbody tr")
+        .classed("hovered", d => d.countryCode === countryCode);
+}
+
+/**
+ * Tooltip with a country's rank in the hovered year and its overall move
+ */
+function showRankTooltip(event, countrySeries, year, changes) {
+    const point = countrySeries.values.find(d => d.year === year) || countrySeries.values[countrySeries.values.length - 1];
+    const change = changes.find(d => d.countryCode === countrySeries.countryCode);
+
+    d3.select("#tooltip-title").text(`${countrySeries.country} · ${point.year}`);
+    d3.select("#tooltip-text").html(`
+        Rank: <strong>${point.rank} of ${point.count}</strong><br>
+        Internet Users: <strong>${point.internetPenetration.toFixed(1)}%</strong>${point.estimated ? " (estimated)" : ""}<br>
+        ${change.firstYear}–${change.lastYear}: <strong>${change.firstRank} → ${change.lastRank}</strong> (${formatRankChange(change.rankChange)}),
+        ${formatPoints(change.gain)}<br>
+        Region: ${countrySeries.region}
+    `);
+
+    d3.select("#tooltip")
+        .classed("visible", true)
+        .style("left", (event.pageX + 10) + "px")
+        .style("top", (event.pageY - 10) + "px");
+}
+
+/**
+ * Sortable table of rank changes and gains below the chart
+ */
+function createRankTable(changes) {
+    const first = d3.min(changes, d => d.firstYear);
+    const last = d3.max(changes, d => d.lastYear);
+    const headings = {
+        firstRank: `Rank ${first}`,
+        lastRank: `Rank ${last}`,
+        gain: `Gain ${first}–${last}`
+    };
+
+    const wrapper = d3.select("#visualization")
+        .append("div")
+        .attr("class", "rank-table-wrapper");
+
+    const table = wrapper.append("table")
+        .attr("class", "rank-table");
+
+    table.append("caption")
+        .text("Click a column heading to sort; click a row to open the country");
+
+    table.append("thead")
+        .append("tr")
+        .selectAll("th")
+        .data(rankTableColumns)
+        .enter()
+        .append("th")
+        .attr("scope", "col")
+        .append("button")
+        .attr("class", "rank-sort")
+        .attr("type", "button")
+        .text(d => headings[d.key] || d.label)
+        .on("click", (event, column) => {
+            const { sortKey, sortDescending } = globalState.scene6;
+            globalState.scene6.sortKey = column.key;
+            globalState.scene6.sortDescending = column.key === sortKey ? !sortDescending : column.descendingFirst;
+            renderRankTableRows(changes);
+            updateDataTable();
+        });
+
+    table.append("tbody");
+    renderRankTableRows(changes);
+}
+
+/**
+ * Fill the rank table in the current sort order and mark the sorted column
+ */
+function renderRankTableRows(changes) {
+    const { sortKey, sortDescending } = globalState.scene6;
+    const table = d3.select("#visualization .rank-table");
+
+    table.selectAll("th")
+        .attr("aria-sort", d => (d.key === sortKey ? (sortDescending ? "descending" : "ascending") : null));
+
+    const rows = table.select("tbody")
+        .selectAll("tr")
+        .data(sortRankChanges(changes), d => d.countryCode)
+        .join("tr")
+        .on("mouseover", (event, d) => setRankHover(d.countryCode))
+        .on("mouseout", () => setRankHover(null))
+        .on("click", (event, d) => handleCountryClick(d.countryCode))
+        .order();
+
+    rows.selectAll("td")
+        .data(d => [
+            { text: d.country },
+            { text: d.region },
+            { text: d.firstRank },
+            { text: d.lastRank },
+            { text: formatRankChange(d.rankChange), className: d.rankChange > 0 ? "up" : d.rankChange < 0 ? "down" : null },
+            { text: formatPoints(d.gain) }
+        ])
+        .join("td")
+        .attr("class", d => d.className)
+        .text(d => d.text);
+}
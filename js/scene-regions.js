@@ -0,0 +1,216 @@
+/**
+ * Digital Divide Visualization - Scene 4: Who Got Left Behind
+ * One small-multiple area chart per region showing the min / median / max band of penetration
+ */
+
+/**
+ * Min, median and max penetration per region and year
+ */
+function calculateRegionBands() {
+    const { byYear, years, regions } = globalState.data.processed;
+    const bands = new Map(regions.map(region => [region, []]));
+
+    years.forEach(year => {
+        const yearData = byYear.get(year) || [];
+
+        d3.groups(yearData, d => d.region).forEach(([region, records]) => {
+            const values = records.map(d => d.internetPenetration);
+            const lowest = records.reduce((a, b) => (b.internetPenetration < a.internetPenetration ? b : a));
+            const highest = records.reduce((a, b) => (b.internetPenetration > a.internetPenetration ? b : a));
+
+            bands.get(region).push({
+                year,
+                min: d3.min(values),
+                median: d3.median(values),
+                max: d3.max(values),
+                lowest: lowest.country,
+                highest: highest.country,
+                count: records.length
+            });
+        });
+    });
+
+    return bands;
+}
+
+/**
+ * Scene 4: Regional small multiples
+ */
+function showScene4() {
+    console.log("Rendering Scene 4: Who Got Left Behind");
+
+    const bands = calculateRegionBands();
+    const regions = [...bands.keys()]
+        .sort((a, b) => d3.median(bands.get(b), d => d.median) - d3.median(bands.get(a), d => d.median));
+    const years = globalState.data.processed.years;
+
+    // World median for reference in every panel
+    const worldMedian = years.map(year => ({
+        year,
+        median: d3.median(globalState.data.processed.byYear.get(year) || [], d => d.internetPenetration)
+    }));
+
+    // Grid layout: four panels per row on wide screens, two on phones
+    const columns = Math.max(2, Math.min(4, Math.floor(dimensions.width / 170)));
+    const rows = Math.ceil(regions.length / columns);
+    const cellWidth = dimensions.width / columns;
+    const cellHeight = Math.max(180, Math.min(270, cellWidth * 1.125));
+    const legendHeight = isNarrowLayout() ? 70 : 40;
+
+    const svg = createSceneSvg(rows * cellHeight + legendHeight);
+    const margin = { top: 30, right: 15, bottom: 30, left: 40 };
+    const width = cellWidth - margin.left - margin.right;
+    const height = cellHeight - margin.top - margin.bottom;
+
+    const xScale = d3.scaleLinear()
+        .domain(d3.extent(years))
+        .range([0, width]);
+
+    const yScale = d3.scaleLinear()
+        .domain([0, 100])
+        .range([height, 0]);
+
+    const area = d3.area()
+        .x(d => xScale(d.year))
+        .y0(d => yScale(d.min))
+        .y1(d => yScale(d.max));
+
+    const medianLine = d3.line()
+        .x(d => xScale(d.year))
+        .y(d => yScale(d.median));
+
+    const cells = svg.selectAll(".region-cell")
+        .data(regions)
+        .enter()
+        .append("g")
+        .attr("class", "region-cell")
+        .attr("transform", (d, i) => {
+            const x = (i % columns) * cellWidth + margin.left;
+            const y = Math.floor(i / columns) * cellHeight + margin.top;
+            return `translate(${x}, ${y})`;
+        });
+
+    cells.append("text")
+        .attr("class", "region-title")
+        .attr("x", width / 2)
+        .attr("y", -12)
+        .attr("text-anchor", "middle")
+        .style("font-size", "12px")
+        .style("font-weight", "bold")
+        .style("fill", "#2d3748")
+        .text(d => d);
+
+    cells.append("g")
+        .attr("class", "axis")
+        .attr("transform", `translate(0, ${height})`)
+        .call(d3.axisBottom(xScale).ticks(3).tickFormat(d3.format("d")));
+
+    cells.append("g")
+        .attr("class", "axis")
+        .call(d3.axisLeft(yScale).ticks(4).tickFormat(d => `${d}%`));
+
+    cells.append("path")
+        .attr("class", "region-band")
+        .attr("d", d => area(bands.get(d)));
+
+    cells.append("path")
+        .attr("class", "world-median-line")
+        .attr("d", medianLine(worldMedian));
+
+    cells.append("path")
+        .attr("class", "region-median-line")
+        .attr("d", d => medianLine(bands.get(d)));
+
+    // Hover marker and overlay for per-year values
+    const marker = cells.append("line")
+        .attr("class", "region-hover-rule")
+        .attr("y1", 0)
+        .attr("y2", height)
+        .style("opacity", 0);
+
+    cells.append("rect")
+        .attr("width", width)
+        .attr("height", height)
+        .style("fill", "transparent")
+        .on("mousemove", function(event, region) {
+            const [x] = d3.pointer(event);
+            const year = Math.round(xScale.invert(x));
+            const band = bands.get(region).find(d => d.year === year);
+            if (!band) return;
+
+            d3.select(this.parentNode).select(".region-hover-rule")
+                .attr("x1", xScale(year))
+                .attr("x2", xScale(year))
+                .style("opacity", 1);
+
+            showRegionBandTooltip(event, region, band);
+        })
+        .on("mouseout", function() {
+            marker.style("opacity", 0);
+            hideTooltip();
+        });
+
+    createLegend4(svg, rows * cellHeight);
+
+    console.log("Scene 4 setup complete");
+}
+
+/**
+ * Legend for the band, regional median and world median, below the grid (one item per line when narrow)
+ */
+function createLegend4(svg, top) {
+    const narrow = isNarrowLayout();
+    const legend = svg.append("g")
+        .attr("class", "scene4-legend")
+        .attr("transform", narrow
+            ? `translate(20, ${top + 12})`
+            : `translate(${dimensions.width / 2 - 220}, ${top + 22})`);
+
+    const items = [
+        { label: "Range across countries (min–max)", className: "region-band", type: "rect" },
+        { label: "Regional median", className: "region-median-line", type: "line" },
+        { label: "World median", className: "world-median-line", type: "line" }
+    ];
+
+    const item = legend.selectAll("g")
+        .data(items)
+        .enter()
+        .append("g")
+        .attr("transform", (d, i) => (narrow ? `translate(0, ${i * 20})` : `translate(${i * 170}, 0)`));
+
+    item.filter(d => d.type === "rect")
+        .append("rect")
+        .attr("class", d => d.className)
+        .attr("y", -6)
+        .attr("width", 18)
+        .attr("height", 12);
+
+    item.filter(d => d.type === "line")
+        .append("line")
+        .attr("class", d => d.className)
+        .attr("x2", 18);
+
+    item.append("text")
+        .attr("x", 24)
+        .attr("dy", "0.35em")
+        .style("font-size", "11px")
+        .text(d => d.label);
+}
+
+/**
+ * Tooltip for one region and year
+ */
+function showRegionBandTooltip(event, region, band) {
+    d3.select("#tooltip-title").text(`${region} · ${band.year}`);
+    d3.select("#tooltip-text").html(`
+        Highest: <strong>${band.max.toFixed(1)}%</strong> (${band.highest})<br>
+        Median: <strong>${band.median.toFixed(1)}%</strong><br>
+        Lowest: <strong>${band.min.toFixed(1)}%</strong> (${band.lowest})<br>
+        Countries: <strong>${band.count}</strong>
+    `);
+
+    d3.select("#tooltip")
+        .classed("visible", true)
+        .style("left", (event.pageX + 10) + "px")
+        .style("top", (event.pageY - 10) + "px");
+}
@@ -0,0 +1,273 @@
+/**
+ * Digital Divide Visualization - Guided Story
+ * Author-driven walk through the scenes (the stem of the martini glass) before free exploration unlocks
+ */
+
+// How long the step list must stay still before a programmatic scroll counts as finished (ms)
+const storyScrollSettle = 150;
+
+// Each step names a scene, the year and region to show, countries to outline and the text to read.
+// region filters Scene 3 and zooms the Scene 1 and 2 maps; missing years snap to the nearest one in the data.
+const storySteps = [
+    {
+        scene: 1,
+        region: "all",
+        countries: ["ISL", "NOR", "CAN", "USA"],
+        title: "2000: a rich-world network",
+        text: "At the turn of the millennium the internet was concentrated in a handful of wealthy countries. In Iceland, Norway, Canada and the United States around half the population or more was already online."
+    },
+    {
+        scene: 1,
+        region: "all",
+        countries: ["IND", "PAK", "BGD", "NGA", "ETH", "UGA"],
+        title: "…and almost nobody else",
+        text: "Across South Asia and much of Sub-Saharan Africa fewer than one person in a hundred used the internet."
+    },
+    {
+        scene: 2,
+        year: 2010,
+        region: "all",
+        countries: ["CHN", "BRA", "RUS"],
+        title: "2010: the middle catches up",
+        text: "Within a decade cheaper devices and mobile networks brought China, Brazil and Russia from a few percent to between a quarter and a third online."
+    },
+    {
+        scene: 2,
+        year: 2024,
+        region: "Middle East & North Africa",
+        countries: ["KWT", "BHR", "QAT", "SAU", "ARE"],
+        title: "2024: the Gulf leads",
+        text: "Today the Gulf states are the most connected countries in the data, with more than nine in ten people online."
+    },
+    {
+        scene: 3,
+        year: 2024,
+        region: "all",
+        countries: [],
+        title: "Wealth still predicts connectivity",
+        text: "Each bubble is a country, sized by population. The richer a country, the more of its people are online, and the trend line shows how closely the two move together."
+    },
+    {
+        scene: 3,
+        year: 2024,
+        region: "Sub-Saharan Africa",
+        countries: ["ETH", "TZA", "UGA"],
+        title: "Who is still offline",
+        text: "Within Sub-Saharan Africa the spread is wide: some countries are past half online, while Ethiopia, Tanzania and Uganda remain near one in four."
+    },
+    {
+        scene: 4,
+        countries: [],
+        title: "Every region rose, unevenly",
+        text: "The bands run from the least to the most connected country in each region. Medians rose everywhere, but the gaps inside regions stayed wide for years."
+    },
+    {
+        scene: 5,
+        countries: [],
+        title: "Is the divide closing?",
+        text: "The gap between the most and least connected fifth of countries peaked in 2008 and narrowed until 2016, but it has widened again since and is nearly back at its peak. Finish the story to explore the data on your own."
+    }
+];
+
+/**
+ * Countries the current story step outlines (none outside the story)
+ */
+function getStoryCountries() {
+    const story = globalState.story;
+    return story.active ? storySteps[story.step].countries : [];
+}
+
+/**
+ * Drive the scenes, year, region filter and map zoom to a story step
+ */
+function applyStoryStep(index) {
+    // A scene change still rendering would swallow the next one
+    if (globalState.isTransitioning) {
+        setTimeout(() => {
+            if (globalState.story.active && globalState.story.step === index) {
+                applyStoryStep(index);
+            }
+        }, 60);
+        return;
+    }
+
+    const step = storySteps[index];
+    const { years, regions } = globalState.data.processed;
+    const year = step.year === undefined ? null : d3.least(years, y => Math.abs(y - step.year));
+    const region = regions.includes(step.region) ? step.region : "all";
+
+    if (step.scene === 3) {
+        globalState.scene3.selectedRegion = region;
+        d3.selectAll(".region-filter").property("value", region);
+    }
+
+    if (step.scene !== globalState.currentScene) {
+        if (step.scene === 2) {
+            globalState.scene2.currentYear = year;
+        } else if (step.scene === 3) {
+            globalState.scene3.currentYear = year;
+        }
+
+        // The map opens fitted to the step's region
+        if (step.scene <= 2) {
+            globalState.mapZoom.region = region;
+            globalState.mapZoom.transform = null;
+        }
+
+        showScene(step.scene, { history: "replace" });
+        return;
+    }
+
+    // Same scene: update in place
+    if (step.scene <= 2 && region !== globalState.mapZoom.region) {
+        zoomMapToRegion(region);
+    }
+    if (step.scene === 2) {
+        updateYear(year, "replace");
+    } else if (step.scene === 3) {
+        updateScene3Year(year, "replace");
+    }
+    highlightCountries();
+    writeUrlState("replace");
+}
+
+/**
+ * Show a story step: drive the visualization, mark the step and optionally scroll its text into view
+ */
+function goToStoryStep(index, scroll = true) {
+    const story = globalState.story;
+    story.step = Math.max(0, Math.min(storySteps.length - 1, index));
+
+    const isLast = story.step === storySteps.length - 1;
+    d3.select("#story-progress").text(`Step ${story.step + 1} of ${storySteps.length}`);
+    d3.select("#story-prev").property("disabled", story.step === 0);
+    d3.select("#story-next").text(isLast ? "Start exploring →" : "Next →");
+
+    const stepNodes = d3.selectAll(".story-step")
+        .classed("active", (d, i) => i === story.step);
+
+    const container = d3.select("#story-steps").node();
+    const stepNode = stepNodes.nodes()[story.step];
+    if (scroll && container.scrollTo) {
+        holdStoryScroll();
+        container.scrollTo({ top: stepNode.offsetTop - container.offsetTop, behavior: "smooth" });
+    }
+
+    applyStoryStep(story.step);
+    announce(`Step ${story.step + 1} of ${storySteps.length}: ${storySteps[story.step].title}`);
+}
+
+/**
+ * Mark the step list as scrolling by itself until it has been still for storyScrollSettle
+ */
+function holdStoryScroll() {
+    const story = globalState.story;
+    story.autoScrolling = true;
+    clearTimeout(story.scrollTimer);
+    story.scrollTimer = setTimeout(() => {
+        story.autoScrolling = false;
+    }, storyScrollSettle);
+}
+
+/**
+ * Move forward or back one step; moving past the last step unlocks exploration
+ */
+function stepStory(offset) {
+    const story = globalState.story;
+    if (!story.active) return;
+
+    if (story.step + offset >= storySteps.length) {
+        endStory();
+    } else if (story.step + offset >= 0) {
+        goToStoryStep(story.step + offset);
+    }
+}
+
+/**
+ * Lock or unlock the exploration controls while the story runs
+ */
+function setStoryLock(locked) {
+    d3.select("body").classed("story-active", locked);
+    d3.selectAll(".scene-btn").property("disabled", locked);
+    d3.select("#controls").attr("inert", locked ? "" : null);
+    d3.select("#story-start").property("disabled", locked);
+    d3.select("#story-panel").property("hidden", !locked);
+}
+
+/**
+ * Start the guided story at a step (the first by default)
+ */
+function startStory(index = 0) {
+    globalState.story.active = true;
+    stopScatterplotAnimation();
+    if (globalState.scene2.isAnimating) {
+        toggleAnimation();
+    }
+
+    d3.select("#story-steps")
+        .selectAll(".story-step")
+        .data(storySteps)
+        .join(enter => {
+            const step = enter.append("article")
+                .attr("class", "story-step");
+            step.append("h3");
+            step.append("p");
+            return step;
+        })
+        .call(step => step.select("h3").text(d => d.title))
+        .call(step => step.select("p").text(d => d.text));
+
+    setStoryLock(true);
+    goToStoryStep(index);
+}
+
+/**
+ * Leave the story and unlock the controls, staying on the current view
+ */
+function endStory() {
+    if (!globalState.story.active) return;
+
+    globalState.story.active = false;
+    setStoryLock(false);
+    highlightCountries();
+    writeUrlState("replace");
+    announce("Story finished. All controls are unlocked.");
+}
+
+/**
+ * Wire up the story buttons, and let scrolling the step list move between steps
+ */
+function setupStory() {
+    d3.select("#story-start").on("click", () => startStory());
+    d3.select("#story-exit").on("click", endStory);
+    d3.select("#story-prev").on("click", () => stepStory(-1));
+    d3.select("#story-next").on("click", () => stepStory(1));
+
+    const container = document.getElementById("story-steps");
+    if (!window.IntersectionObserver || !container) return;
+
+    // Each scroll event of a programmatic scroll pushes its end back
+    container.addEventListener("scroll", () => {
+        if (globalState.story.autoScrolling) {
+            holdStoryScroll();
+        }
+    });
+
+    // The step filling most of the scroll box becomes the current one (not while a step scrolls itself into view)
+    const observer = new IntersectionObserver(entries => {
+        const story = globalState.story;
+        const visible = d3.greatest(entries.filter(entry => entry.isIntersecting), entry => entry.intersectionRatio);
+        if (!story.active || story.autoScrolling || !visible) return;
+
+        const index = d3.selectAll(".story-step").nodes().indexOf(visible.target);
+        if (index >= 0 && index !== story.step) {
+            goToStoryStep(index, false);
+        }
+    }, { root: container, threshold: 0.6 });
+
+    // Observe the steps whenever they are (re)rendered
+    new MutationObserver(() => {
+        observer.disconnect();
+        container.querySelectorAll(".story-step").forEach(step => observer.observe(step));
+    }).observe(container, { childList: true });
+}
@@ -0,0 +1,500 @@
+/**
+ * Digital Divide Visualization - Trend Models
+ * Linear-log, logistic and LOESS fits of penetration on GDP for Scene 3, with R², residuals and 95% confidence bands
+ */
+
+// Fits offered in the Scene 3 "Fit" selector; minPoints is the fewest countries each can be fitted to
+const trendModels = {
+    linear: { label: "Linear (log GDP)", minPoints: 3 },
+    logistic: { label: "Logistic (saturating)", minPoints: 6 },
+    loess: { label: "LOESS (local)", minPoints: 6 }
+};
+
+// Share of the countries each LOESS neighbourhood covers, points sampled along each curve,
+// and how many over- and under-performers the residual mode labels
+const trendSettings = {
+    loessSpan: 0.75,
+    curveSteps: 60,
+    residualLabels: 5
+};
+
+/**
+ * Two-sided 95% quantile of Student's t (Cornish-Fisher expansion around the normal quantile)
+ */
+function tQuantile975(df) {
+    const z = 1.959964;
+    if (!(df > 0)) return Infinity;
+    return z +
+        (z ** 3 + z) / (4 * df) +
+        (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2) +
+        (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / (384 * df ** 3);
+}
+
+/**
+ * Solve the square system A x = b by Gaussian elimination with partial pivoting (null when singular)
+ */
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) {
+                m[row][k] -= factor * m[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= m[row][k] * x[k];
+        }
+        x[row] = sum / m[row][row];
+    }
+    return x;
+}
+
+/**
+ * Ordinary least squares line of penetration on log10(GDP per capita)
+ */
+function fitLinearLog(points) {
+    const n = points.length;
+    const meanX = d3.mean(points, p => p.x);
+    const meanY = d3.mean(points, p => p.y);
+    const sxx = d3.sum(points, p => (p.x - meanX) ** 2);
+    if (sxx === 0) return null;
+
+    const slope = d3.sum(points, p => (p.x - meanX) * (p.y - meanY)) / sxx;
+    const intercept = meanY - slope * meanX;
+    const predict = x => intercept + slope * x;
+
+    const rss = d3.sum(points, p => (p.y - predict(p.x)) ** 2);
+    const s = Math.sqrt(rss / (n - 2));
+    const t = tQuantile975(n - 2);
+
+    return {
+        predict,
+        halfWidth: x => t * s * Math.sqrt(1 / n + (x - meanX) ** 2 / sxx),
+        parameters: { slope, intercept }
+    };
+}
+
+/**
+ * Logistic curve L / (1 + e^(-k(x - x0))), fitted by Levenberg-Marquardt with L capped at 100%, or held at `ceiling`
+ * (x is log10(GDP) for the trend line, decades for adoption curves); the band comes from the parameter covariance
+ */
+function fitLogistic(points, ceiling) {
+    const n = points.length;
+    const ceilingFixed = ceiling !== undefined;
+    const freeParameters = ceilingFixed ? 2 : 3;
+    const model = ([L, k, x0], x) => L / (1 + Math.exp(-k * (x - x0)));
+    const gradient = ([L, k, x0], x) => {
+        const e = Math.exp(-k * (x - x0));
+        const d = (1 + e) ** 2;
+        return [ceilingFixed ? 0 : 1 / (1 + e), L * e * (x - x0) / d, -L * e * k / d];
+    };
+    // A held ceiling contributes nothing; a unit diagonal keeps the normal equations solvable with a zero step for it
+    const normalMatrix = params => {
+        const jtj = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        points.forEach(p => {
+            const g = gradient(params, p.x);
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    jtj[i][j] += g[i] * g[j];
+                }
+            }
+        });
+        if (ceilingFixed) {
+            jtj[0][0] = 1;
+        }
+        return jtj;
+    };
+    const residualSum = params => d3.sum(points, p => (p.y - model(params, p.x)) ** 2);
+
+    const startCeiling = ceilingFixed ? ceiling : Math.min(100, d3.max(points, p => p.y) * 1.05);
+    let params = [startCeiling, 2, d3.median(points, p => p.x)];
+
+    // For a given ceiling the logit ln(y / (L - y)) is linear in x, which gives a start near the answer;
+    // from the generic start, clouds still far below the ceiling slide into a flat line
+    const logits = points
+        .filter(p => p.y > 0 && p.y < startCeiling)
+        .map(p => ({ x: p.x, y: Math.log(p.y / (startCeiling - p.y)) }));
+    const meanX = d3.mean(logits, p => p.x);
+    const meanY = d3.mean(logits, p => p.y);
+    const slope = d3.sum(logits, p => (p.x - meanX) * (p.y - meanY)) / d3.sum(logits, p => (p.x - meanX) ** 2);
+    if (slope > 0) {
+        params = [startCeiling, slope, meanX - meanY / slope];
+    }
+    let rss = residualSum(params);
+    let lambda = 1e-3;
+
+    for (let iteration = 0; iteration < 100; iteration++) {
+        const jtj = normalMatrix(params);
+        const jtr = [0, 0, 0];
+        points.forEach(p => {
+            const g = gradient(params, p.x);
+            const r = p.y - model(params, p.x);
+            for (let i = 0; i < 3; i++) {
+                jtr[i] += g[i] * r;
+            }
+        });
+
+        const damped = jtj.map((row, i) => row.map((value, j) => i === j ? value * (1 + lambda) : value));
+        const step = solveLinearSystem(damped, jtr);
+        if (!step) break;
+
+        const candidate = params.map((value, i) => value + step[i]);
+        candidate[0] = Math.min(100, candidate[0]);
+        const candidateRss = residualSum(candidate);
+
+        if (candidateRss < rss) {
+            const improvement = (rss - candidateRss) / rss;
+            params = candidate;
+            rss = candidateRss;
+            lambda /= 10;
+            if (improvement < 1e-9) break;
+        } else {
+            lambda *= 10;
+            if (lambda > 1e8) break;
+        }
+    }
+
+    if (!params.every(Number.isFinite)) return null;
+
+    // Parameter covariance s² (JᵀJ)⁻¹, one column at a time
+    const jtj = normalMatrix(params);
+    const columns = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(unit => solveLinearSystem(jtj, unit));
+    if (columns.some(column => !column)) return null;
+
+    const s2 = rss / (n - freeParameters);
+    const t = tQuantile975(n - freeParameters);
+    const [L, k, x0] = params;
+
+    return {
+        predict: x => model(params, x),
+        halfWidth: x => {
+            const g = gradient(params, x);
+            const variance = d3.sum(g, (gi, i) => gi * d3.sum(g, (gj, j) => columns[j][i] * gj));
+            return t * Math.sqrt(s2 * Math.max(0, variance));
+        },
+        parameters: { ceiling: L, steepness: k, midpoint: x0 }
+    };
+}
+
+/**
+ * Locally weighted linear regression (tricube weights over the nearest span of countries)
+ * The band treats the fit as a linear smoother, with residual degrees of freedom n - trace
+ */
+function fitLoess(points) {
+    const n = points.length;
+    const neighbours = Math.max(3, Math.ceil(trendSettings.loessSpan * n));
+
+    // Weight each point gets in the local line at x
+    const smootherWeights = x => {
+        const distances = points.map(p => Math.abs(p.x - x));
+        const bandwidth = Math.max(1e-9, [...distances].sort(d3.ascending)[neighbours - 1] * 1.0001);
+        const weights = distances.map(d => d < bandwidth ? (1 - (d / bandwidth) ** 3) ** 3 : 0);
+
+        const s0 = d3.sum(weights);
+        const s1 = d3.sum(weights, (w, i) => w * (points[i].x - x));
+        const s2 = d3.sum(weights, (w, i) => w * (points[i].x - x) ** 2);
+        const denominator = s0 * s2 - s1 * s1;
+
+        // All neighbours at one GDP: fall back to their weighted mean
+        if (Math.abs(denominator) < 1e-12) {
+            return weights.map(w => w / s0);
+        }
+        return weights.map((w, i) => w * (s2 - (points[i].x - x) * s1) / denominator);
+    };
+
+    const predictWith = weights => d3.sum(weights, (w, i) => w * points[i].y);
+
+    let trace = 0;
+    let rss = 0;
+    points.forEach((p, i) => {
+        const weights = smootherWeights(p.x);
+        trace += weights[i];
+        rss += (p.y - predictWith(weights)) ** 2;
+    });
+
+    const df = n - trace;
+    if (!(df > 0)) return null;
+    const s = Math.sqrt(rss / df);
+    const t = tQuantile975(df);
+
+    return {
+        predict: x => predictWith(smootherWeights(x)),
+        halfWidth: x => t * s * Math.sqrt(d3.sum(smootherWeights(x), w => w * w)),
+        parameters: { span: trendSettings.loessSpan }
+    };
+}
+
+/**
+ * Countries a trend can be fitted to, as points of log10(GDP) and penetration
+ */
+function getTrendPoints(data) {
+    return data
+        .filter(d => d.gdpPerCapita > 0 && Number.isFinite(d.internetPenetration))
+        .map(d => ({ x: Math.log10(d.gdpPerCapita), y: d.internetPenetration, record: d }));
+}
+
+/**
+ * Fit a trend model to Scene 3 records; null when there are too few countries or the fit fails
+ * Returns predictions and band half-widths by log10(GDP), R², and each country's residual
+ * A logistic curve that does not rise, or explains less than the line, is replaced by the line (marked fallbackFrom)
+ */
+function fitTrendModel(data, modelName) {
+    const model = trendModels[modelName] || trendModels.linear;
+    const points = getTrendPoints(data);
+
+    if (points.length < model.minPoints) return null;
+
+    const fitters = { linear: fitLinearLog, logistic: fitLogistic, loess: fitLoess };
+    const fit = describeTrendFit(fitters[modelName] ? fitters[modelName](points) : fitLinearLog(points), modelName, points);
+    if (modelName !== "logistic") return fit;
+
+    const linear = describeTrendFit(fitLinearLog(points), "linear", points);
+    if (fit && fit.parameters.steepness > 0 && (!linear || fit.rSquared >= linear.rSquared)) return fit;
+    return linear && { ...linear, fallbackFrom: modelName };
+}
+
+/**
+ * R², residuals and extent of a fit to `points` (null stays null)
+ */
+function describeTrendFit(fit, modelName, points) {
+    if (!fit) return null;
+
+    const residuals = points.map(p => ({
+        record: p.record,
+        fitted: fit.predict(p.x),
+        residual: p.y - fit.predict(p.x)
+    }));
+    const meanY = d3.mean(points, p => p.y);
+    const tss = d3.sum(points, p => (p.y - meanY) ** 2);
+    const rss = d3.sum(residuals, r => r.residual ** 2);
+
+    return {
+        ...fit,
+        model: modelName,
+        n: points.length,
+        xExtent: d3.extent(points, p => p.x),
+        rSquared: tss > 0 ? 1 - rss / tss : 0,
+        residuals
+    };
+}
+
+/**
+ * Points along a fitted curve with its band, clamped to the 0–100% axis
+ */
+function sampleTrendCurve(fit) {
+    const [x0, x1] = fit.xExtent;
+    const clamp = y => Math.max(0, Math.min(100, y));
+
+    return d3.range(trendSettings.curveSteps + 1).map(i => {
+        const x = x0 + (x1 - x0) * i / trendSettings.curveSteps;
+        const y = fit.predict(x);
+        const halfWidth = fit.halfWidth(x);
+        return {
+            gdpPerCapita: 10 ** x,
+            y: clamp(y),
+            lower: clamp(y - halfWidth),
+            upper: clamp(y + halfWidth)
+        };
+    });
+}
+
+/**
+ * Fits for the countries shown: one overall, or one per region when "Fit each region" is on under All Regions
+ * Groups that could not be fitted keep fit: null, with skipped saying why ("tooFew" or "failed")
+ */
+function fitScene3Trends(data) {
+    const { trendModel, trendByRegion, selectedRegion } = globalState.scene3;
+    const minPoints = trendModels[trendModel].minPoints;
+
+    const fitGroup = (region, records) => {
+        const n = getTrendPoints(records).length;
+        const fit = n >= minPoints ? fitTrendModel(records, trendModel) : null;
+        return { region, n, fit, skipped: fit ? null : (n < minPoints ? "tooFew" : "failed") };
+    };
+
+    if (trendByRegion && selectedRegion === "all") {
+        return d3.groups(data, d => d.region)
+            .map(([region, records]) => fitGroup(region, records))
+            .sort((a, b) => d3.ascending(a.region, b.region));
+    }
+
+    return [fitGroup(null, data)];
+}
+
+/**
+ * Draw the trend curves, confidence bands, R² box and residual labels for the countries shown
+ */
+function updateTrendLine(data) {
+    const chart = globalState.scene3.chartGroup;
+    const { xScale, yScale, colorScale } = globalState.scene3.scales;
+    const scene3 = globalState.scene3;
+
+    // Remove existing trend layers
+    chart.selectAll(".trend-bands, .trend-layer").remove();
+    scene3.trendResiduals = new Map();
+
+    d3.select("#trend-by-region").property("disabled", scene3.selectedRegion !== "all");
+
+    if (!scene3.showTrendline) return;
+
+    const entries = fitScene3Trends(data);
+    const trends = entries.filter(entry => entry.fit);
+
+    trends.forEach(({ fit }) => {
+        fit.residuals.forEach(r => scene3.trendResiduals.set(r.record.countryCode, r.residual));
+    });
+
+    // Bands sit beneath the trails and bubbles, curves and labels above them
+    const bands = chart.insert("g", ".trails").attr("class", "trend-bands");
+    const layer = chart.append("g").attr("class", "trend-layer");
+
+    const area = d3.area()
+        .x(d => xScale(d.gdpPerCapita))
+        .y0(d => yScale(d.lower))
+        .y1(d => yScale(d.upper));
+
+    const line = d3.line()
+        .x(d => xScale(d.gdpPerCapita))
+        .y(d => yScale(d.y));
+
+    trends.forEach(({ region, fit }) => {
+        const curve = sampleTrendCurve(fit);
+        const color = region ? colorScale(region) : null;
+
+        bands.append("path")
+            .datum(curve)
+            .attr("class", "trend-band")
+            .attr("d", area)
+            .style("fill", color);
+
+        layer.append("path")
+            .datum(curve)
+            .attr("class", "trend-line")
+            .attr("d", line)
+            .style("stroke", color);
+    });
+
+    addTrendStats(layer, entries);
+
+    if (scene3.showResiduals) {
+        addResidualLabels(layer, trends);
+    }
+}
+
+/**
+ * Box in the empty top-left corner naming the fit and its R² (per region when fitted by region),
+ * with any groups left unfitted and why
+ */
+function addTrendStats(layer, entries) {
+    const { colorScale } = globalState.scene3.scales;
+    const model = trendModels[globalState.scene3.trendModel];
+    const byRegion = entries[0].region !== null;
+    const trends = entries.filter(entry => entry.fit);
+    const describeFit = fit => `R² ${fit.rSquared.toFixed(2)} (n=${fit.n})${fit.fallbackFrom ? " · linear" : ""}`;
+
+    const stats = layer.append("g")
+        .attr("class", "trend-stats")
+        .attr("transform", "translate(10, 10)");
+
+    // Region lines are indented next to their swatch, and skipped regions under their heading
+    const lines = [{ text: byRegion ? `${model.label} fit by region · 95% bands` : `${model.label} fit · 95% band`, title: true }];
+    trends.forEach(({ region, fit }) => {
+        lines.push({ text: region ? `${region}: ${describeFit(fit)}` : describeFit(fit), region });
+    });
+    if (trends.some(t => t.fit.fallbackFrom)) {
+        lines.push({ text: "Linear where the logistic fit is no better" });
+    }
+
+    const skippedHeadings = {
+        tooFew: `Too few countries to fit (${model.minPoints} needed)`,
+        failed: "Fit failed"
+    };
+    Object.entries(skippedHeadings).forEach(([reason, heading]) => {
+        const skipped = entries.filter(entry => entry.skipped === reason);
+        if (skipped.length === 0) return;
+        if (byRegion) {
+            lines.push({ text: `${heading}:` }, ...skipped.map(entry => ({ text: `${entry.region} (n=${entry.n})`, indent: true })));
+        } else {
+            lines.push({ text: `${heading}: n=${skipped[0].n}` });
+        }
+    });
+
+    stats.selectAll("text")
+        .data(lines)
+        .enter()
+        .append("text")
+        .attr("x", d => d.region || d.indent ? 14 : 0)
+        .attr("y", (d, i) => 12 + i * 15)
+        .attr("class", d => d.title ? "trend-stats-title" : "trend-stats-line")
+        .text(d => d.text);
+
+    // Region swatches next to their R² lines
+    stats.selectAll("rect")
+        .data(lines.map((line, i) => ({ ...line, i })).filter(line => line.region))
+        .enter()
+        .append("rect")
+        .attr("x", 0)
+        .attr("y", d => 4 + d.i * 15)
+        .attr("width", 9)
+        .attr("height", 9)
+        .attr("fill", d => colorScale(d.region));
+}
+
+/**
+ * Label the countries furthest above and below their fitted curve: over- and under-performers for their income
+ */
+function addResidualLabels(layer, trends) {
+    const { xScale, yScale } = globalState.scene3.scales;
+    const residuals = trends.flatMap(t => t.fit.residuals);
+    const count = trendSettings.residualLabels;
+
+    const sorted = [...residuals].sort((a, b) => d3.descending(a.residual, b.residual));
+    const labelled = [
+        ...sorted.slice(0, count).filter(r => r.residual > 0),
+        ...sorted.slice(-count).filter(r => r.residual < 0)
+    ];
+
+    const labels = layer.append("g")
+        .attr("class", "residual-labels")
+        .selectAll("g")
+        .data(labelled)
+        .enter()
+        .append("g")
+        .attr("class", d => `residual-label ${d.residual > 0 ? "over" : "under"}`)
+        .attr("transform", d => `translate(${xScale(d.record.gdpPerCapita)}, ${yScale(d.record.internetPenetration)})`);
+
+    labels.append("line")
+        .attr("y1", d => yScale(Math.max(0, Math.min(100, d.fitted))) - yScale(d.record.internetPenetration))
+        .attr("y2", 0);
+
+    labels.append("text")
+        .attr("x", 8)
+        .attr("y", d => d.residual > 0 ? -6 : 14)
+        .text(d => `${d.record.country} ${d.residual > 0 ? "+" : "−"}${Math.abs(d.residual).toFixed(0)} pts`);
+}
+
+/**
+ * Tooltip line giving a country's distance from the trend (empty when no trend is drawn)
+ */
+function formatTrendResidual(countryData) {
+    const residuals = globalState.scene3.trendResiduals;
+    if (!residuals || !residuals.has(countryData.countryCode)) return "";
+
+    const residual = residuals.get(countryData.countryCode);
+    return `Versus trend: <strong>${residual >= 0 ? "+" : "−"}${Math.abs(residual).toFixed(1)} pts</strong><br>`;
+}
@@ -0,0 +1,247 @@
+/**
+ * Digital Divide Visualization - URL State
+ * Mirrors scene, year, projection horizon, metric, region, trend line and fit, selected and compared countries and the story step in the query string
+ */
+
+/**
+ * Read and validate the state encoded in the current URL
+ */
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const processed = globalState.data.processed;
+    const state = {};
+
+    const scene = +params.get("scene");
+    if (d3.select(`.scene-btn[data-scene="${scene}"]`).size() > 0) {
+        state.scene = scene;
+    }
+
+    if (params.has("horizon")) {
+        const horizon = +params.get("horizon");
+        if (horizon === 0 || projectionSettings.horizons.includes(horizon)) {
+            state.projectionHorizon = horizon;
+        }
+    }
+
+    // Projected years only exist in Scene 2, up to the horizon in the URL
+    const year = +params.get("year");
+    const horizon = state.projectionHorizon !== undefined ? state.projectionHorizon : projectionSettings.defaultHorizon;
+    const lastYear = processed.years[processed.years.length - 1];
+    if (processed.years.includes(year) || (state.scene === 2 && year > lastYear && year <= horizon)) {
+        state.year = year;
+    }
+
+    const metric = params.get("metric");
+    if (metric && metricDefinitions[metric]) {
+        state.metric = metric;
+    }
+
+    const region = params.get("region");
+    if (region && (region === "all" || processed.regions.includes(region))) {
+        state.region = region;
+    }
+
+    if (params.has("avg")) {
+        state.weightedAverage = params.get("avg") !== "unweighted";
+    }
+
+    if (params.has("trend")) {
+        state.showTrendline = params.get("trend") !== "0";
+    }
+
+    const fit = params.get("fit");
+    if (fit && trendModels[fit]) {
+        state.trendModel = fit;
+    }
+
+    if (params.has("fitby")) {
+        state.trendByRegion = params.get("fitby") === "region";
+    }
+
+    if (params.has("residuals")) {
+        state.showResiduals = params.get("residuals") === "1";
+    }
+
+    const country = params.get("country");
+    if (country && processed.byCountry.has(country)) {
+        state.selectedCountry = country;
+    }
+
+    if (params.has("compare")) {
+        state.comparedCountries = params.get("compare")
+            .split(",")
+            .filter(code => processed.byCountry.has(code))
+            .slice(0, globalState.comparison.maxCountries);
+    }
+
+    const storyStep = +params.get("story");
+    if (Number.isInteger(storyStep) && storyStep >= 1 && storyStep <= storySteps.length) {
+        state.story = storyStep;
+    }
+
+    return state;
+}
+
+/**
+ * Write the current state to the URL
+ * mode: "push" adds a history entry, "replace" overwrites the current one
+ */
+function writeUrlState(mode = "push") {
+    const params = new URLSearchParams();
+
+    params.set("scene", globalState.currentScene);
+
+    if (globalState.currentScene === 2) {
+        params.set("year", globalState.scene2.currentYear);
+    } else if (globalState.currentScene === 3) {
+        params.set("year", globalState.scene3.currentYear);
+    }
+
+    if (globalState.projectionHorizon !== projectionSettings.defaultHorizon) {
+        params.set("horizon", globalState.projectionHorizon);
+    }
+
+    if (!globalState.scene2.weightedAverage) {
+        params.set("avg", "unweighted");
+    }
+
+    if (globalState.selectedMetric !== "internetPenetration") {
+        params.set("metric", globalState.selectedMetric);
+    }
+
+    if (globalState.scene3.selectedRegion !== "all") {
+        params.set("region", globalState.scene3.selectedRegion);
+    }
+
+    if (!globalState.scene3.showTrendline) {
+        params.set("trend", "0");
+    }
+
+    if (globalState.scene3.trendModel !== "linear") {
+        params.set("fit", globalState.scene3.trendModel);
+    }
+
+    if (globalState.scene3.trendByRegion) {
+        params.set("fitby", "region");
+    }
+
+    if (globalState.scene3.showResiduals) {
+        params.set("residuals", "1");
+    }
+
+    if (globalState.selectedCountry) {
+        params.set("country", globalState.selectedCountry);
+    }
+
+    if (globalState.comparison.active) {
+        params.set("compare", globalState.comparison.countries.join(","));
+    }
+
+    if (globalState.story.active) {
+        params.set("story", globalState.story.step + 1);
+    }
+
+    const url = `${window.location.pathname}?${params}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+    if (mode === "replace") {
+        history.replaceState(null, "", url);
+    } else {
+        history.pushState(null, "", url);
+    }
+}
+
+/**
+ * Apply a state read from the URL to globalState, the controls and the visualization
+ */
+function applyUrlState(state, historyMode = "none") {
+    // A story step sets up its own view
+    if (state.story) {
+        startStory(state.story - 1);
+        return;
+    }
+    if (globalState.story.active) {
+        globalState.story.active = false;
+        setStoryLock(false);
+    }
+
+    const region = state.region || "all";
+    const showTrendline = state.showTrendline !== undefined ? state.showTrendline : true;
+    const scene = state.scene || 1;
+    const years = globalState.data.processed.years;
+    const year = state.year || (scene === 3 ? years[years.length - 1] : years[0]);
+    const metric = state.metric || "internetPenetration";
+    const metricChanged = metric !== globalState.selectedMetric;
+    const regionChanged = region !== globalState.scene3.selectedRegion;
+
+    globalState.projectionHorizon = state.projectionHorizon !== undefined
+        ? state.projectionHorizon
+        : projectionSettings.defaultHorizon;
+    updateProjectionControls();
+    globalState.scene2.weightedAverage = state.weightedAverage !== undefined ? state.weightedAverage : true;
+    d3.select("#weighted-average").property("checked", globalState.scene2.weightedAverage);
+    globalState.scene3.selectedRegion = region;
+    globalState.scene3.showTrendline = showTrendline;
+    globalState.scene3.trendModel = state.trendModel || "linear";
+    globalState.scene3.trendByRegion = state.trendByRegion === true;
+    globalState.scene3.showResiduals = state.showResiduals === true;
+    globalState.selectedCountry = state.selectedCountry || null;
+    globalState.comparison.active = state.comparedCountries !== undefined;
+    globalState.comparison.countries = state.comparedCountries || [];
+    updateComparisonView();
+    d3.selectAll(".region-filter").property("value", region);
+    d3.select("#show-trendline").property("checked", showTrendline);
+    d3.select("#trend-model").property("value", globalState.scene3.trendModel);
+    d3.select("#trend-by-region").property("checked", globalState.scene3.trendByRegion);
+    d3.select("#show-residuals").property("checked", globalState.scene3.showResiduals);
+
+    if (metricChanged) {
+        globalState.selectedMetric = metric;
+        d3.selectAll(".metric-select").property("value", metric);
+        updateMetricScales();
+    }
+
+    // A new scene, a map that must be recolored or a re-ranked bump chart is rendered from scratch
+    if (scene !== globalState.currentScene || (metricChanged && scene !== 3) || (regionChanged && scene === 6)) {
+        if (scene === 2) {
+            globalState.scene2.currentYear = year;
+        } else if (scene === 3) {
+            globalState.scene3.currentYear = year;
+        }
+        showScene(scene, { history: historyMode });
+        return;
+    }
+
+    // Same scene: update in place
+    if (scene === 2) {
+        updateYear(year, "none");
+    } else if (scene === 3) {
+        updateScene3Year(year, "none");
+    }
+    highlightCountries();
+    refreshCountryViews();
+    if (historyMode !== "none") {
+        writeUrlState(historyMode);
+    }
+}
+
+/**
+ * Apply the state of a Back or Forward step; a scene change still rendering would swallow it, so wait for it.
+ * By then that scene has written its own URL, which is replaced with the state applied.
+ */
+function applyHistoryState(state, historyMode = "none") {
+    if (globalState.isTransitioning) {
+        setTimeout(() => applyHistoryState(state, "replace"), 60);
+        return;
+    }
+    applyUrlState(state, historyMode);
+}
+
+/**
+ * Restore state when the user steps through browser history
+ */
+function setupUrlState() {
+    window.addEventListener("popstate", () => {
+        applyHistoryState(readUrlState());
+    });
+}